@@ -0,0 +1,215 @@
+// Checkpoints for interrupted sends, shared by the senders
+//
+// While sending, the senders save their progress to a checkpoint file after
+// every request (webhook) or batch (LinkedIn): the settings of the run
+// (including the time old and future timestamps are rewritten against), the
+// position of the next row to send and the totals so far. `--resume` reads it
+// back, applies the same settings without asking again, skips the rows the
+// interrupted run handled and carries its totals across. Credentials are
+// never written: the LinkedIn access token is asked for again.
+//
+// Output events of the run (the LinkedIn sender's successful events) are
+// appended to a file next to the checkpoint, `<checkpoint>.events`, one JSON
+// line per event, so a resumed run can write them out with its own. The file
+// is created by the first events and deleted when the run completes. The
+// checkpoint counts the events it covers; lines past that count come from a
+// batch that was sent again after a crash and are dropped when resuming.
+//
+// Positions are { file, line }: the index of the input file and the line of
+// the row in it. Records keep the order of the input, so every record before
+// the position was handled. Senders stream their records, so the position
+// saved is the one right after the last record handled.
+
+const fs = require('fs')
+const { createInterface } = require('readline')
+const { SOURCE_LINE } = require('./csv-parser')
+const { SOURCE_FILE } = require('./input-reader')
+
+// Function to get the default checkpoint file of a sender
+function defaultCheckpointFile(sender) {
+  return `${sender}-checkpoint.json`
+}
+
+// Function to get the position of a record
+function positionOf(inputFiles, record) {
+  return {
+    file: inputFiles.indexOf(record[SOURCE_FILE]),
+    line: record[SOURCE_LINE],
+  }
+}
+
+// Function to tell whether a record comes before a position
+function isBefore(inputFiles, record, position) {
+  const { file, line } = positionOf(inputFiles, record)
+  return (
+    file < position.file || (file === position.file && line < position.line)
+  )
+}
+
+// Function to get the position right after a record, saved once it was
+// handled; without a record, the start of the input
+function positionAfter(inputFiles, record) {
+  if (!record) {
+    return { file: 0, line: 0 }
+  }
+  const { file, line } = positionOf(inputFiles, record)
+  return { file, line: line + 1 }
+}
+
+class Checkpoint {
+  // filepath: checkpoint file; sender: name of the sender writing it
+  constructor(filepath, sender) {
+    this.filepath = filepath
+    this.sender = sender
+    this.data = null
+    this.eventsPath = `${filepath}.events`
+  }
+
+  // Start the checkpoint of a new run; settings must hold everything needed
+  // to run again without questions, except credentials
+  start(argv, settings, inputFiles) {
+    this.data = {
+      sender: this.sender,
+      startedAt: new Date().toISOString(),
+      updatedAt: null,
+      completed: false,
+      argv,
+      settings,
+      inputFiles: inputFiles.map((file) => ({
+        path: file.path,
+        recordCount: file.recordCount,
+      })),
+      progress: null,
+    }
+    // Output events are only written by senders that record them
+    this.removeEvents()
+  }
+
+  // Load the checkpoint of an interrupted run
+  load() {
+    let data
+    try {
+      data = JSON.parse(fs.readFileSync(this.filepath, 'utf8'))
+    } catch (error) {
+      throw new Error(
+        `Cannot resume: no readable checkpoint ${this.filepath} (${error.message})`
+      )
+    }
+    if (data.sender !== this.sender) {
+      throw new Error(
+        `Cannot resume: ${this.filepath} is a checkpoint of the ${data.sender} sender`
+      )
+    }
+    if (data.completed) {
+      throw new Error(
+        `Nothing to resume: the run in ${this.filepath} completed at ${data.updatedAt}`
+      )
+    }
+    this.data = data
+    return data
+  }
+
+  // Check that the input files still have the records they had when the
+  // checkpoint was started; positions would not match otherwise
+  checkInputFiles(inputFiles) {
+    this.data.inputFiles.forEach((saved, index) => {
+      const file = inputFiles[index]
+      if (file.recordCount !== saved.recordCount) {
+        throw new Error(
+          `Cannot resume: ${file.name} has ${file.recordCount} records, but had ${saved.recordCount} when the checkpoint was saved`
+        )
+      }
+    })
+  }
+
+  // Save the progress so far; written to a temporary file first, so a crash
+  // while writing leaves the previous checkpoint intact
+  save(progress) {
+    this.data.progress = progress
+    this.data.updatedAt = new Date().toISOString()
+    const tempPath = `${this.filepath}.tmp`
+    fs.writeFileSync(tempPath, JSON.stringify(this.data, null, 2))
+    fs.renameSync(tempPath, this.filepath)
+  }
+
+  // Append output events of the run; written straight away, before the
+  // progress that counts them is saved. The file is created by the first
+  // events appended
+  appendEvents(events) {
+    if (events.length === 0) {
+      return
+    }
+    fs.appendFileSync(
+      this.eventsPath,
+      events.map((event) => JSON.stringify(event)).join('\n') + '\n'
+    )
+  }
+
+  // Keep the first count output events of the interrupted run, the ones its
+  // checkpoint counts; copied line by line, as there can be many
+  async keepEvents(count) {
+    if (!fs.existsSync(this.eventsPath)) {
+      return
+    }
+    const tempPath = `${this.eventsPath}.tmp`
+    const fd = fs.openSync(tempPath, 'w')
+    let kept = 0
+    try {
+      for await (const line of this.readEventLines()) {
+        if (kept === count) {
+          break
+        }
+        fs.writeSync(fd, line + '\n')
+        kept++
+      }
+    } finally {
+      fs.closeSync(fd)
+    }
+    fs.renameSync(tempPath, this.eventsPath)
+  }
+
+  // Read the output events of the run one at a time
+  async *readEvents() {
+    for await (const line of this.readEventLines()) {
+      yield JSON.parse(line)
+    }
+  }
+
+  async *readEventLines() {
+    if (!fs.existsSync(this.eventsPath)) {
+      return
+    }
+    const lines = createInterface({
+      input: fs.createReadStream(this.eventsPath, 'utf8'),
+      crlfDelay: Infinity,
+    })
+    for await (const line of lines) {
+      if (line !== '') {
+        yield line
+      }
+    }
+  }
+
+  // Mark the run as completed, so it cannot be resumed; its output events
+  // are no longer needed
+  complete() {
+    this.data.completed = true
+    this.save(this.data.progress)
+    this.removeEvents()
+  }
+
+  // Delete the output events file, if there is one
+  removeEvents() {
+    if (fs.existsSync(this.eventsPath)) {
+      fs.unlinkSync(this.eventsPath)
+    }
+  }
+}
+
+module.exports = {
+  defaultCheckpointFile,
+  positionOf,
+  positionAfter,
+  isBefore,
+  Checkpoint,
+}
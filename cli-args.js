@@ -0,0 +1,97 @@
+// Minimal command-line flag parser shared by the generator and the senders.
+//
+// Options are described by a spec object keyed by option name:
+//   { count: { flag: '--count', type: 'number', description: '...' } }
+// Supported types: 'string', 'number', 'boolean' and 'list' (comma-separated).
+// Values can be given as `--flag value` or `--flag=value`.
+
+// Parse argv against an option spec, returning { options, positional }
+function parseArgs(argv, spec) {
+  const options = {}
+  const positional = []
+
+  const byFlag = {}
+  for (const [name, option] of Object.entries(spec)) {
+    byFlag[option.flag] = { name, ...option }
+    if (option.alias) {
+      byFlag[option.alias] = { name, ...option }
+    }
+  }
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i]
+
+    if (!arg.startsWith('-')) {
+      positional.push(arg)
+      continue
+    }
+
+    // Split --flag=value into flag and inline value
+    const equalsIndex = arg.indexOf('=')
+    const flag = equalsIndex === -1 ? arg : arg.slice(0, equalsIndex)
+    let value = equalsIndex === -1 ? undefined : arg.slice(equalsIndex + 1)
+
+    const option = byFlag[flag]
+    if (!option) {
+      throw new Error(`Unknown option: ${flag}`)
+    }
+
+    if (option.type === 'boolean') {
+      if (value !== undefined) {
+        throw new Error(`Option ${flag} does not take a value`)
+      }
+      options[option.name] = true
+      continue
+    }
+
+    if (value === undefined) {
+      value = argv[i + 1]
+      i++
+    }
+    if (value === undefined || value === '') {
+      throw new Error(`Option ${flag} requires a value`)
+    }
+
+    options[option.name] = convertValue(flag, option.type, value)
+  }
+
+  return { options, positional }
+}
+
+// Convert a raw flag value to the option's declared type
+function convertValue(flag, type, value) {
+  switch (type) {
+    case 'number': {
+      const number = Number(value)
+      if (isNaN(number)) {
+        throw new Error(`Option ${flag} expects a number, got "${value}"`)
+      }
+      return number
+    }
+    case 'list':
+      return value
+        .split(',')
+        .map((item) => item.trim())
+        .filter((item) => item !== '')
+    default:
+      return value
+  }
+}
+
+// Build the --help text for an option spec
+function formatHelp(usage, spec) {
+  const lines = [`Usage: ${usage}`, '', 'Options:']
+  const labels = Object.values(spec).map((option) => {
+    const names = option.alias ? `${option.alias}, ${option.flag}` : option.flag
+    return option.type === 'boolean' ? names : `${names} <${option.type}>`
+  })
+  const width = Math.max(...labels.map((label) => label.length))
+
+  Object.values(spec).forEach((option, index) => {
+    lines.push(`  ${labels[index].padEnd(width)}  ${option.description}`)
+  })
+
+  return lines.join('\n')
+}
+
+module.exports = { parseArgs, formatHelp }
@@ -0,0 +1,319 @@
+// Conversion time window shared by the senders
+//
+// LinkedIn CAPI only accepts conversions from the last 90 days. Events older
+// than that are handled by a strategy chosen for the run:
+//   - skip: the events are not sent (quarantined as TIMESTAMP_TOO_OLD)
+//   - reset: their timestamps become the current time
+//   - clamp: they move to the start of the window plus a safety margin
+//   - shift: every event moves forward by the same amount, so the oldest one
+//     lands at the start of the window and the spacing between events is kept
+//   - compress: the time range of all events is mapped proportionally into
+//     the window
+// The safety margin keeps rewritten events inside the window while a long
+// job is still sending.
+//
+// Events later than the current time usually come from timezone mistakes in
+// the export. Within a tolerance they are skipped, clamped to the current
+// time or shifted back by an offset; beyond it they are always skipped.
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const HOUR_MS = 60 * 60 * 1000
+
+// Days of history the API accepts
+const WINDOW_DAYS = 90
+
+// Default safety margin inside the start of the window
+const DEFAULT_MARGIN_HOURS = 24
+
+// Default tolerance for events ahead of the current time: the largest UTC
+// offset, as such skew usually comes from a timezone mistake
+const DEFAULT_FUTURE_TOLERANCE_HOURS = 14
+
+// Strategies for events older than the window
+const oldTimestampStrategies = {
+  skip: 'Skip events older than 90 days',
+  reset: 'Set old timestamps to the current time',
+  clamp:
+    'Move old events to the start of the 90-day window (plus the safety margin)',
+  shift:
+    'Move all events forward by the same amount, keeping the spacing between them',
+  compress:
+    'Fit the time range of all events proportionally into the 90-day window',
+}
+
+// Strategies for events ahead of the current time, within the tolerance
+const futureTimestampStrategies = {
+  skip: 'Skip future-dated events',
+  clamp: 'Set future-dated timestamps to the current time',
+  shift:
+    'Move future-dated events back by a fixed offset (e.g. a timezone difference)',
+}
+
+// Function to look up an old-timestamp strategy by name
+function getOldTimestampStrategy(name) {
+  if (!oldTimestampStrategies[name]) {
+    throw new Error(
+      `Unknown old-timestamp strategy "${name}". Available strategies: ${Object.keys(
+        oldTimestampStrategies
+      ).join(', ')}`
+    )
+  }
+  return name
+}
+
+// Function to look up a future-timestamp strategy by name
+function getFutureTimestampStrategy(name) {
+  if (!futureTimestampStrategies[name]) {
+    throw new Error(
+      `Unknown future-timestamp strategy "${name}". Available strategies: ${Object.keys(
+        futureTimestampStrategies
+      ).join(', ')}`
+    )
+  }
+  return name
+}
+
+// Function to check a future tolerance or shift offset in hours
+function checkFutureHours(name, hours) {
+  if (!(hours >= 0)) {
+    throw new Error(`${name} must be a number of hours >= 0, got ${hours}`)
+  }
+  return hours
+}
+
+// Function to check a safety margin in hours
+function checkMarginHours(hours) {
+  if (!(hours >= 0 && hours < WINDOW_DAYS * 24)) {
+    throw new Error(
+      `Timestamp margin must be between 0 and ${
+        WINDOW_DAYS * 24
+      } hours, got ${hours}`
+    )
+  }
+  return hours
+}
+
+// Function to tell whether an epoch timestamp is older than the window
+function isOlderThanWindow(timestamp, now = Date.now()) {
+  return timestamp < now - WINDOW_DAYS * DAY_MS
+}
+
+class OldTimestampRewriter {
+  // strategy: key of oldTimestampStrategies; marginHours: safety margin inside
+  // the start of the window; now: the end of the window
+  constructor(
+    strategy,
+    { marginHours = DEFAULT_MARGIN_HOURS, now = Date.now() } = {}
+  ) {
+    this.strategy = getOldTimestampStrategy(strategy)
+    this.marginHours = checkMarginHours(marginHours)
+    this.now = now
+    this.windowStart = now - WINDOW_DAYS * DAY_MS + marginHours * HOUR_MS
+    this.earliest = null
+    this.latest = null
+    this.offset = 0
+  }
+
+  // Look at every timestamp of the job before rewriting any: shift and
+  // compress depend on their range. Future timestamps are left out.
+  plan(timestamps) {
+    timestamps.forEach((timestamp) => this.observe(timestamp))
+    this.completePlan()
+  }
+
+  // Add one timestamp to the plan; for jobs streamed rather than held in
+  // memory, followed by completePlan() once all were observed
+  observe(timestamp) {
+    if (timestamp > this.now) {
+      return
+    }
+    if (this.earliest === null || timestamp < this.earliest) {
+      this.earliest = timestamp
+    }
+    if (this.latest === null || timestamp > this.latest) {
+      this.latest = timestamp
+    }
+  }
+
+  // Work out the rewrite from the observed range
+  completePlan() {
+    if (this.strategy === 'shift' && this.earliest !== null) {
+      // Far enough for the oldest event to fit, but never past now
+      this.offset = Math.max(
+        0,
+        Math.min(this.windowStart - this.earliest, this.now - this.latest)
+      )
+    }
+  }
+
+  // Rewrite one epoch timestamp; unchanged timestamps are returned as-is
+  rewrite(timestamp) {
+    if (timestamp > this.now || this.earliest === null) {
+      return timestamp
+    }
+
+    switch (this.strategy) {
+      case 'reset':
+        return isOlderThanWindow(timestamp, this.now) ? this.now : timestamp
+      case 'clamp':
+        return Math.max(timestamp, this.windowStart)
+      case 'shift':
+        return timestamp + this.offset
+      case 'compress': {
+        if (this.earliest >= this.windowStart) {
+          return timestamp // Nothing to compress
+        }
+        // Keep the latest event where it is unless it is old too
+        const end = this.latest >= this.windowStart ? this.latest : this.now
+        if (this.latest === this.earliest) {
+          return end
+        }
+        return Math.round(
+          this.windowStart +
+            ((timestamp - this.earliest) * (end - this.windowStart)) /
+              (this.latest - this.earliest)
+        )
+      }
+      default:
+        return timestamp
+    }
+  }
+}
+
+class FutureTimestampRewriter {
+  // strategy: key of futureTimestampStrategies; toleranceHours: how far ahead
+  // events are still rewritten; offsetHours: shift offset (default: the
+  // largest skew within the tolerance, rounded up to a whole hour); now: the
+  // current time
+  constructor(
+    strategy,
+    {
+      toleranceHours = DEFAULT_FUTURE_TOLERANCE_HOURS,
+      offsetHours = null,
+      now = Date.now(),
+    } = {}
+  ) {
+    this.strategy = getFutureTimestampStrategy(strategy)
+    this.toleranceHours = checkFutureHours('Future tolerance', toleranceHours)
+    this.offsetHours =
+      offsetHours === null
+        ? null
+        : checkFutureHours('Future offset', offsetHours)
+    this.now = now
+    this.maxSkew = 0
+    this.future = { total: 0, withinTolerance: 0, latest: now } // For countFutureDated()
+  }
+
+  // Look at every timestamp of the job before rewriting any: the default
+  // shift offset depends on the largest skew
+  plan(timestamps) {
+    timestamps.forEach((timestamp) => this.observe(timestamp))
+    this.completePlan()
+  }
+
+  // Add one timestamp to the plan; for jobs streamed rather than held in
+  // memory, followed by completePlan() once all were observed
+  observe(timestamp) {
+    if (!this.isFuture(timestamp)) {
+      return
+    }
+    this.future.total++
+    this.future.latest = Math.max(this.future.latest, timestamp)
+    if (this.isWithinTolerance(timestamp)) {
+      this.future.withinTolerance++
+      this.maxSkew = Math.max(this.maxSkew, timestamp - this.now)
+    }
+  }
+
+  // Work out the default shift offset from the largest skew observed
+  completePlan() {
+    if (this.offsetHours === null) {
+      this.offsetHours = Math.ceil(this.maxSkew / HOUR_MS)
+    }
+  }
+
+  // Whether a timestamp is ahead of the current time
+  isFuture(timestamp) {
+    return timestamp > this.now
+  }
+
+  // Whether a timestamp is ahead of the current time, but within the tolerance
+  isWithinTolerance(timestamp) {
+    return (
+      this.isFuture(timestamp) &&
+      timestamp - this.now <= this.toleranceHours * HOUR_MS
+    )
+  }
+
+  // Rewrite one epoch timestamp; unchanged timestamps are returned as-is
+  rewrite(timestamp) {
+    if (!this.isWithinTolerance(timestamp)) {
+      return timestamp
+    }
+
+    switch (this.strategy) {
+      case 'clamp':
+        return this.now
+      case 'shift':
+        // An offset smaller than the skew still leaves it at the current time
+        return Math.min(timestamp - this.offsetHours * HOUR_MS, this.now)
+      default:
+        return timestamp
+    }
+  }
+}
+
+// Function to count the future-dated timestamps a FutureTimestampRewriter
+// planned for; recorded for the summaries
+function countFutureDated(rewriter) {
+  const { total, withinTolerance, latest } = rewriter.future
+  return {
+    total,
+    withinTolerance,
+    beyondTolerance: total - withinTolerance,
+    maxHoursAhead: Math.round(((latest - rewriter.now) / HOUR_MS) * 10) / 10,
+    strategy: rewriter.strategy,
+    toleranceHours: rewriter.toleranceHours,
+    offsetHours: rewriter.offsetHours,
+  }
+}
+
+// Function to describe countFutureDated() results as summary lines
+function formatFutureDated(counts) {
+  const outcomes = {
+    skip: 'skipped',
+    clamp: 'set to the current time',
+    shift: `moved back ${counts.offsetHours} hours`,
+  }
+  const lines = [
+    `🔮 Future-dated events: ${counts.total} (up to ${counts.maxHoursAhead} hours ahead)`,
+  ]
+  if (counts.withinTolerance > 0) {
+    lines.push(
+      `   • ${counts.withinTolerance} within the ${
+        counts.toleranceHours
+      }-hour tolerance: ${outcomes[counts.strategy]}`
+    )
+  }
+  if (counts.beyondTolerance > 0) {
+    lines.push(`   • ${counts.beyondTolerance} beyond the tolerance: skipped`)
+  }
+  return lines
+}
+
+module.exports = {
+  WINDOW_DAYS,
+  DEFAULT_MARGIN_HOURS,
+  DEFAULT_FUTURE_TOLERANCE_HOURS,
+  oldTimestampStrategies,
+  futureTimestampStrategies,
+  getOldTimestampStrategy,
+  getFutureTimestampStrategy,
+  checkMarginHours,
+  checkFutureHours,
+  isOlderThanWindow,
+  OldTimestampRewriter,
+  FutureTimestampRewriter,
+  countFutureDated,
+  formatFutureDated,
+}
@@ -0,0 +1,171 @@
+// Streaming RFC 4180 CSV parser shared by the senders
+//
+// Parses CSV text chunk by chunk, so multi-gigabyte exports never have to be
+// held in memory as one string. Handles quoted fields containing delimiters,
+// line breaks and escaped quotes (""), CRLF / LF / CR line endings, a UTF-8
+// byte order mark and quoted header rows. Every row carries the line number
+// it starts on, counting line breaks inside quoted fields (CR-only line
+// breaks are only recognised between rows). Files are read and fed to the
+// parser by input-reader.js.
+
+// Property holding a record's source line number; a Symbol so it never shows
+// up in Object.keys(), JSON payloads or CSV output
+const SOURCE_LINE = Symbol('sourceLine')
+
+class CsvParser {
+  // options.delimiter: field separator (default: ',')
+  constructor(options = {}) {
+    this.delimiter = options.delimiter || ','
+    this.line = 1 // Line the parser is currently on
+    this.rowLine = 1 // Line the current row started on
+    this.values = []
+    this.field = ''
+    this.fieldQuoted = false // Current field started with a quote
+    this.inQuotes = false
+    this.afterQuote = false // Saw a quote inside a quoted field
+    this.afterCR = false // Last row ended with \r; skip a following \n
+    this.started = false // Past the optional byte order mark
+  }
+
+  // Parse the next chunk of text, returning the rows it completed
+  // Each row is { values: [...], line }
+  push(text) {
+    const rows = []
+    const delimiter = this.delimiter
+    let i = 0
+
+    if (!this.started && text.length > 0) {
+      this.started = true
+      if (text.charCodeAt(0) === 0xfeff) {
+        i = 1
+      }
+    }
+
+    while (i < text.length) {
+      const char = text[i]
+
+      if (this.afterCR) {
+        this.afterCR = false
+        if (char === '\n') {
+          i++
+          continue
+        }
+      }
+
+      if (this.afterQuote) {
+        this.afterQuote = false
+        if (char === '"') {
+          // Escaped quote inside a quoted field
+          this.field += '"'
+          i++
+          continue
+        }
+        // The previous quote closed the field
+        this.inQuotes = false
+      }
+
+      if (this.inQuotes) {
+        const quoteIndex = text.indexOf('"', i)
+        const end = quoteIndex === -1 ? text.length : quoteIndex
+        const segment = text.slice(i, end)
+        this.field += segment
+        this.line += countNewlines(segment)
+        if (quoteIndex !== -1) {
+          this.afterQuote = true
+        }
+        i = end + 1
+        continue
+      }
+
+      if (char === '"') {
+        if (this.field === '' && !this.fieldQuoted) {
+          this.inQuotes = true
+          this.fieldQuoted = true
+        } else {
+          // Quotes in the middle of an unquoted field are kept as-is
+          this.field += '"'
+        }
+        i++
+        continue
+      }
+
+      if (char === delimiter) {
+        this.endField()
+        i++
+        continue
+      }
+
+      if (char === '\n' || char === '\r') {
+        this.endRow(rows)
+        this.line++
+        this.rowLine = this.line
+        this.afterCR = char === '\r'
+        i++
+        continue
+      }
+
+      // Copy a run of ordinary characters in one go
+      let end = i + 1
+      while (end < text.length) {
+        const next = text[end]
+        if (
+          next === delimiter ||
+          next === '\n' ||
+          next === '\r' ||
+          next === '"'
+        ) {
+          break
+        }
+        end++
+      }
+      this.field += text.slice(i, end)
+      i = end
+    }
+
+    return rows
+  }
+
+  // Finish parsing, returning the last row if the text did not end with a
+  // line break
+  end() {
+    const rows = []
+    if (this.inQuotes && !this.afterQuote) {
+      throw new Error(
+        `Unterminated quoted field in the row starting on line ${this.rowLine}`
+      )
+    }
+    this.inQuotes = false
+    this.afterQuote = false
+    this.endRow(rows)
+    return rows
+  }
+
+  endField() {
+    this.values.push(this.field)
+    this.field = ''
+    this.fieldQuoted = false
+  }
+
+  // Complete the current row; blank lines produce no row
+  endRow(rows) {
+    if (this.values.length === 0 && this.field === '' && !this.fieldQuoted) {
+      return
+    }
+    this.endField()
+    rows.push({ values: this.values, line: this.rowLine })
+    this.values = []
+  }
+}
+
+// Function to count LF characters (LF and CRLF line breaks) in a piece of text
+function countNewlines(text) {
+  let count = 0
+  let index = text.indexOf('\n')
+  while (index !== -1) {
+    count++
+    index = text.indexOf('\n', index + 1)
+  }
+  return count
+}
+
+module.exports = { CsvParser, SOURCE_LINE }
@@ -0,0 +1,229 @@
+// Deduplication of conversion events shared by the senders
+//
+// Every record gets a key built from the components given with --dedup-key:
+//   - email: the normalised email address
+//   - conversion: where the event goes (LinkedIn conversion ID or webhook URL)
+//   - time or time:<n>m|h|d: conversionTime, exact or in buckets of n minutes,
+//     hours or days. When conversionTime is not used, the row's position
+//     (file and line) takes its place, so repeat conversions of one person
+//     are not collapsed into one event; choose a key without time to match
+//     rows regardless of when they converted.
+//   - any other name: the value of that column, e.g. opportunityId
+// A record whose key repeats within the job is dropped as a duplicate of the
+// first one. Keys of events sent successfully are appended to a local ledger,
+// and records whose key is already in it are dropped too, so sending the same
+// export again does not count its conversions twice. Keys are stored as
+// SHA-256 hashes, so the ledger holds no email addresses.
+
+const fs = require('fs')
+const crypto = require('crypto')
+const { normalizeEmail } = require('./email-normalizer')
+const { SOURCE_LINE } = require('./csv-parser')
+const { SOURCE_FILE } = require('./input-reader')
+
+// Default key: same person, same conversion, within the same hour
+const DEFAULT_DEDUP_KEY = ['email', 'conversion', 'time:1h']
+
+// Default ledger of keys already sent, in the working directory
+const DEFAULT_LEDGER_FILE = 'sent-events.ledger'
+
+// Record property holding the dedup key of a record that is kept
+const DEDUP_KEY = Symbol('dedupKey')
+
+const bucketUnits = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 }
+
+// Function to parse --dedup-key components into { name, bucketMs } entries
+function parseDedupKey(components) {
+  if (components.length === 0) {
+    throw new Error('Dedup key needs at least one component')
+  }
+  const names = new Set()
+  return components.map((component) => {
+    const [name, bucket] = component.split(':')
+    if (names.has(name)) {
+      throw new Error(`Dedup key component "${name}" is given twice`)
+    }
+    names.add(name)
+
+    if (bucket === undefined) {
+      return { name, bucketMs: null }
+    }
+    const match = name === 'time' && /^(\d+)([mhd])$/.exec(bucket)
+    if (!match || parseInt(match[1]) === 0) {
+      throw new Error(
+        `Invalid dedup key component "${component}". Only time takes a bucket, e.g. time:15m, time:1h or time:1d`
+      )
+    }
+    return { name, bucketMs: parseInt(match[1]) * bucketUnits[match[2]] }
+  })
+}
+
+// Function to describe parsed dedup key components, e.g. "email, time:1h"
+function formatDedupKey(components) {
+  return components
+    .map(({ name, bucketMs }) => {
+      if (bucketMs === null) {
+        return name
+      }
+      const [unit, ms] = Object.entries(bucketUnits)
+        .reverse()
+        .find(([, ms]) => bucketMs % ms === 0)
+      return `${name}:${bucketMs / ms}${unit}`
+    })
+    .join(', ')
+}
+
+class SentLedger {
+  // filepath: append-only file with one key hash per line
+  constructor(filepath = DEFAULT_LEDGER_FILE) {
+    this.filepath = filepath
+    this.keys = null // Loaded on first use
+  }
+
+  // Read the keys sent in earlier runs
+  load() {
+    if (this.keys) {
+      return
+    }
+    this.keys = new Set()
+    if (!fs.existsSync(this.filepath)) {
+      return
+    }
+    fs.readFileSync(this.filepath, 'utf8')
+      .split('\n')
+      .filter((line) => line !== '')
+      .forEach((key) => this.keys.add(key))
+  }
+
+  has(key) {
+    this.load()
+    return this.keys.has(key)
+  }
+
+  // Append keys of events that were sent successfully; written straight away
+  // so a crash mid-job still leaves them recorded
+  add(keys) {
+    this.load()
+    const newKeys = keys.filter((key) => !this.keys.has(key))
+    if (newKeys.length === 0) {
+      return
+    }
+    fs.appendFileSync(this.filepath, newKeys.join('\n') + '\n')
+    newKeys.forEach((key) => this.keys.add(key))
+  }
+}
+
+class Deduplicator {
+  // components: --dedup-key components; ledgerPath: file of keys already sent
+  constructor(
+    components = DEFAULT_DEDUP_KEY,
+    ledgerPath = DEFAULT_LEDGER_FILE
+  ) {
+    this.components = parseDedupKey(components)
+    this.ledger = new SentLedger(ledgerPath)
+  }
+
+  // Build the key of one record; conversion identifies the destination and
+  // useConversionTime whether conversionTime is part of the event
+  keyOf(record, { conversion, useConversionTime }) {
+    const values = this.components.map(({ name, bucketMs }) => {
+      if (name === 'email') {
+        return normalizeEmail(record.email || '')
+      }
+      if (name === 'conversion') {
+        return conversion || ''
+      }
+      if (name === 'time') {
+        if (!useConversionTime) {
+          return record[SOURCE_FILE]
+            ? `${record[SOURCE_FILE].name}:${record[SOURCE_LINE]}`
+            : ''
+        }
+        const value = record.conversionTime || ''
+        if (bucketMs === null || !/^\d+$/.test(value)) {
+          return value
+        }
+        return Math.floor(parseInt(value) / bucketMs).toString()
+      }
+      return String(record[name] || '').trim()
+    })
+    return crypto
+      .createHash('sha256')
+      .update(JSON.stringify(values))
+      .digest('hex')
+  }
+
+  // Whether the row position stands in for time in the key, because
+  // conversionTime is not used
+  usesRowPosition(useConversionTime) {
+    return (
+      !useConversionTime && this.components.some(({ name }) => name === 'time')
+    )
+  }
+
+  // Split records into the ones to send and the duplicates, found within the
+  // records or (with checkLedger) in the ledger. Kept records get their key
+  // under DEDUP_KEY. Records an interrupted run handled already (see
+  // checkpoint.js) are kept as they are; their keys still make later records
+  // duplicates.
+  // A job streamed in chunks passes the same seen map with every chunk: it
+  // maps each key to a stand-in for the first record with it, holding only
+  // the record's position, so the records themselves can be let go.
+  // Returns { unique, inInput: [{ record, duplicateOf }], alreadySent }
+  filter(
+    records,
+    {
+      conversion,
+      useConversionTime,
+      checkLedger = true,
+      handled = () => false,
+      seen = new Map(),
+    }
+  ) {
+    const unique = []
+    const inInput = []
+    const alreadySent = []
+    const standInFor = (record) => ({
+      [SOURCE_FILE]: record[SOURCE_FILE],
+      [SOURCE_LINE]: record[SOURCE_LINE],
+    })
+
+    records.forEach((record) => {
+      const key = this.keyOf(record, { conversion, useConversionTime })
+      if (handled(record)) {
+        if (!seen.has(key)) {
+          seen.set(key, standInFor(record))
+        }
+        unique.push(record)
+      } else if (seen.has(key)) {
+        inInput.push({ record, duplicateOf: seen.get(key) })
+      } else if (checkLedger && this.ledger.has(key)) {
+        seen.set(key, standInFor(record))
+        alreadySent.push(record)
+      } else {
+        seen.set(key, standInFor(record))
+        record[DEDUP_KEY] = key
+        unique.push(record)
+      }
+    })
+
+    return { unique, inInput, alreadySent }
+  }
+
+  // Record records that were sent successfully in the ledger
+  recordSent(records) {
+    this.ledger.add(
+      records.map((record) => record[DEDUP_KEY]).filter((key) => key)
+    )
+  }
+}
+
+module.exports = {
+  DEFAULT_DEDUP_KEY,
+  DEFAULT_LEDGER_FILE,
+  DEDUP_KEY,
+  parseDedupKey,
+  formatDedupKey,
+  SentLedger,
+  Deduplicator,
+}
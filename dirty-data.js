@@ -0,0 +1,291 @@
+// Dirty-data injection for the data generator
+//
+// Injects known defects into generated records at configurable percentages so
+// the senders' validators can be checked against known answers. Every record
+// is also run through the same rules the senders apply by default, and rows
+// that are expected to be skipped or warned are collected into a manifest.
+
+const { faker } = require('@faker-js/faker')
+const { normalizeEmail, validateEmail } = require('./email-normalizer')
+const {
+  resolveCountryCode,
+  isAmbiguousCountryCode,
+  resolveCurrencyCode,
+  findInactiveCurrency,
+} = require('./iso-codes')
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// Placeholder SFDC Workbench writes for empty values
+const NOT_PROVIDED = '[not provided]'
+
+// User information fields that require firstName and lastName
+const userInfoFields = ['title', 'companyName', 'countryCode']
+
+// Supported defect types; `requires` lists fields that must be selected
+const defectTypes = {
+  missingEmail: {
+    description: 'Empty email (record is skipped)',
+    requires: [['email']],
+  },
+  halfCurrency: {
+    description: 'Only one of currencyCode/conversionValue (currency warning)',
+    requires: [['currencyCode'], ['conversionValue']],
+  },
+  userInfoWithoutName: {
+    description: 'User info without firstName/lastName (user info warning)',
+    requires: [['firstName', 'lastName'], userInfoFields],
+  },
+  oldTimestamp: {
+    description: 'conversionTime 91-365 days old (skipped unless reset)',
+    requires: [['conversionTime']],
+  },
+  notProvided: {
+    description: `One value replaced with "${NOT_PROVIDED}"`,
+    requires: [],
+  },
+}
+
+// Function to parse "missingEmail=5,oldTimestamp=2" into { type: percent }
+function parseDefectRates(entries) {
+  const rates = {}
+  entries.forEach((entry) => {
+    const [type, percent] = entry.split('=').map((part) => part.trim())
+    rates[type] = Number(percent)
+  })
+  return rates
+}
+
+// Function to check defect rates and that the selected fields support them
+function validateDefectRates(rates, selectedFields) {
+  for (const [type, percent] of Object.entries(rates)) {
+    const defect = defectTypes[type]
+    if (!defect) {
+      throw new Error(
+        `Unknown defect type "${type}". Available defect types: ${Object.keys(
+          defectTypes
+        ).join(', ')}`
+      )
+    }
+    if (isNaN(percent) || percent < 0 || percent > 100) {
+      throw new Error(`Defect rate for ${type} must be between 0 and 100`)
+    }
+    // Each group needs at least one of its fields selected
+    for (const group of defect.requires) {
+      if (!group.some((field) => selectedFields.includes(field))) {
+        throw new Error(
+          `Defect type ${type} needs one of these fields selected: ${group.join(
+            ', '
+          )}`
+        )
+      }
+    }
+  }
+}
+
+// Function to tell whether a value counts as empty to the senders
+function isEmptyValue(value) {
+  return (
+    value === undefined ||
+    value === null ||
+    String(value).trim() === '' ||
+    value === NOT_PROVIDED
+  )
+}
+
+// Function to convert a generated conversionTime to epoch milliseconds
+function toEpoch(value) {
+  return typeof value === 'number' ? value : Date.parse(value)
+}
+
+// Function to predict how the senders' default rules treat a record
+// Returns { expected: 'ok' | 'warn' | 'skip', reasons: [...] }
+function predictOutcome(record, now) {
+  const skipReasons = []
+  const warnReasons = []
+
+  if (isEmptyValue(record.email)) {
+    skipReasons.push('MISSING_EMAIL')
+  } else if (validateEmail(normalizeEmail(record.email))) {
+    skipReasons.push('INVALID_EMAIL')
+  }
+
+  // An unknown country is dropped and does not count as user information
+  const hasCountryCode = !isEmptyValue(record.countryCode)
+  const knownCountry = hasCountryCode && resolveCountryCode(record.countryCode)
+  if (hasCountryCode && isAmbiguousCountryCode(record.countryCode)) {
+    warnReasons.push('AMBIGUOUS_COUNTRY_CODE')
+  } else if (hasCountryCode && !knownCountry) {
+    warnReasons.push('INVALID_COUNTRY_CODE')
+  }
+  const hasUserInfo = userInfoFields.some(
+    (field) =>
+      !isEmptyValue(record[field]) && (field !== 'countryCode' || knownCountry)
+  )
+  if (
+    hasUserInfo &&
+    (isEmptyValue(record.firstName) || isEmptyValue(record.lastName))
+  ) {
+    warnReasons.push('USER_INFO_MISSING_NAME')
+  }
+
+  const hasCurrencyCode = !isEmptyValue(record.currencyCode)
+  const hasConversionValue = !isEmptyValue(record.conversionValue)
+  if (hasCurrencyCode !== hasConversionValue) {
+    warnReasons.push('INCOMPLETE_CURRENCY')
+  } else if (hasCurrencyCode && !resolveCurrencyCode(record.currencyCode)) {
+    warnReasons.push(
+      findInactiveCurrency(record.currencyCode)
+        ? 'INACTIVE_CURRENCY_CODE'
+        : 'INVALID_CURRENCY_CODE'
+    )
+  }
+
+  if (
+    !isEmptyValue(record.conversionTime) &&
+    toEpoch(record.conversionTime) < now - 90 * DAY_MS
+  ) {
+    skipReasons.push('TIMESTAMP_TOO_OLD')
+  }
+
+  if (skipReasons.length > 0) {
+    return { expected: 'skip', reasons: [...skipReasons, ...warnReasons] }
+  }
+  if (warnReasons.length > 0) {
+    return { expected: 'warn', reasons: warnReasons }
+  }
+  return { expected: 'ok', reasons: [] }
+}
+
+class DirtyDataInjector {
+  // rates: { defectType: percent } e.g. { missingEmail: 5, oldTimestamp: 2 }
+  constructor(rates = {}) {
+    this.rates = rates
+    this.rowCount = 0
+    this.defectCounts = {}
+    this.outcomeCounts = { ok: 0, warn: 0, skip: 0 }
+    this.rows = [] // Manifest entries for rows that are not expected to be ok
+    this.now = Date.now()
+  }
+
+  // Reset state for a new file
+  start(selectedFields, now) {
+    validateDefectRates(this.rates, selectedFields)
+    this.selectedFields = selectedFields
+    this.now = now
+    this.rowCount = 0
+    this.defectCounts = {}
+    this.outcomeCounts = { ok: 0, warn: 0, skip: 0 }
+    this.rows = []
+  }
+
+  // Inject defects into a generated record (mutates it) and record the outcome
+  inject(record) {
+    this.rowCount++
+    const defects = []
+
+    for (const [type, percent] of Object.entries(this.rates)) {
+      // Always draw a number so the random sequence does not depend on outcomes
+      const roll = faker.number.float({ min: 0, max: 100 })
+      if (roll < percent && this.applyDefect(type, record)) {
+        defects.push(type)
+        this.defectCounts[type] = (this.defectCounts[type] || 0) + 1
+      }
+    }
+
+    const outcome = predictOutcome(record, this.now)
+    this.outcomeCounts[outcome.expected]++
+    if (defects.length > 0 || outcome.expected !== 'ok') {
+      this.rows.push({
+        row: this.rowCount,
+        line: this.rowCount + 1, // Line 1 is the header row
+        defects,
+        expected: outcome.expected,
+        reasons: outcome.reasons,
+      })
+    }
+
+    return record
+  }
+
+  // Apply one defect to a record, returning false if it does not apply
+  applyDefect(type, record) {
+    const selected = (field) => this.selectedFields.includes(field)
+
+    switch (type) {
+      case 'missingEmail':
+        record.email = ''
+        return true
+
+      case 'halfCurrency': {
+        const field = faker.helpers.arrayElement([
+          'currencyCode',
+          'conversionValue',
+        ])
+        record[field] = ''
+        return true
+      }
+
+      case 'userInfoWithoutName': {
+        const nameFields = ['firstName', 'lastName'].filter(selected)
+        const hasUserInfo = userInfoFields.some(
+          (field) => selected(field) && !isEmptyValue(record[field])
+        )
+        if (!hasUserInfo) {
+          return false
+        }
+        faker.helpers
+          .arrayElements(nameFields, { min: 1, max: nameFields.length })
+          .forEach((field) => {
+            record[field] = ''
+          })
+        return true
+      }
+
+      case 'oldTimestamp': {
+        const daysOld = faker.number.int({ min: 91, max: 365 })
+        const timestamp = this.now - daysOld * DAY_MS
+        record.conversionTime =
+          typeof record.conversionTime === 'string'
+            ? new Date(timestamp).toISOString()
+            : timestamp
+        return true
+      }
+
+      case 'notProvided': {
+        const candidates = this.selectedFields.filter(
+          (field) => !isEmptyValue(record[field])
+        )
+        if (candidates.length === 0) {
+          return false
+        }
+        record[faker.helpers.arrayElement(candidates)] = NOT_PROVIDED
+        return true
+      }
+
+      default:
+        return false
+    }
+  }
+
+  // Build the manifest describing injected defects and expected outcomes
+  getManifest() {
+    return {
+      generatedAt: new Date().toISOString(),
+      referenceNow: new Date(this.now).toISOString(),
+      note: "Expected outcomes use the senders' default rules with old timestamps skipped (not reset). TIMESTAMP_TOO_OLD is relative to referenceNow.",
+      recordCount: this.rowCount,
+      defectRates: this.rates,
+      defectCounts: this.defectCounts,
+      expectedCounts: this.outcomeCounts,
+      rows: this.rows,
+    }
+  }
+}
+
+module.exports = {
+  DirtyDataInjector,
+  defectTypes,
+  parseDefectRates,
+  predictOutcome,
+}
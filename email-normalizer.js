@@ -0,0 +1,110 @@
+// Email normalisation and validation shared by the senders and the generator
+//
+// LinkedIn matches SHA256_EMAIL user ids against hashes of trimmed, lowercased
+// addresses, so every address is normalised the same way before it is hashed
+// or sent: surrounding whitespace (including zero-width characters), a
+// mailto: prefix and "Name <address>" brackets are removed and the address is
+// lowercased. Addresses that are placeholders or not valid syntax are rejected
+// with a reason instead of becoming unmatchable hashes.
+
+// Values CRM exports use instead of an address
+const placeholderValues = [
+  'n/a',
+  'na',
+  'none',
+  'null',
+  'nil',
+  'unknown',
+  'tbd',
+  'not provided',
+  '[not provided]',
+  'no email',
+  'noemail',
+  '-',
+  '--',
+  '?',
+  'x',
+]
+
+// Local parts that mark an address as a placeholder (e.g. noemail@acme.com)
+const placeholderLocalParts = [
+  'noemail',
+  'no-email',
+  'none',
+  'unknown',
+  'noreply',
+  'no-reply',
+  'donotreply',
+  'do-not-reply',
+]
+
+// Length limits from RFC 5321
+const MAX_EMAIL_LENGTH = 254
+const MAX_LOCAL_PART_LENGTH = 64
+
+// Dot-separated runs of the characters RFC 5322 allows unquoted
+const LOCAL_PART_PATTERN =
+  /^[a-z0-9!#$%&'*+/=?^_`{|}~-]+(\.[a-z0-9!#$%&'*+/=?^_`{|}~-]+)*$/
+// Hostname labels followed by an alphabetic top-level domain
+const DOMAIN_PATTERN = /^([a-z0-9]([a-z0-9-]*[a-z0-9])?\.)+[a-z]{2,63}$/
+
+// Function to normalise an email address before validating or hashing it
+function normalizeEmail(value) {
+  let email = String(value)
+    .replace(/[\u200B-\u200D\uFEFF]/g, '')
+    .trim()
+
+  if (/^mailto:/i.test(email)) {
+    // mailto links may carry ?subject=... parameters
+    email = email.slice('mailto:'.length).split('?')[0]
+  }
+
+  // "Jane Doe <jane@acme.com>" or "<jane@acme.com>"
+  const bracketed = /<([^<>]*)>$/.exec(email)
+  if (bracketed) {
+    email = bracketed[1]
+  }
+
+  return email.trim().toLowerCase()
+}
+
+// Function to check a normalised email address
+// Returns null when the address is valid, otherwise the reason it is not
+function validateEmail(email) {
+  if (placeholderValues.includes(email)) {
+    return `Email "${email}" is a placeholder, not an address`
+  }
+
+  const atIndex = email.lastIndexOf('@')
+  if (atIndex === -1) {
+    return `Email "${email}" has no @`
+  }
+  if (email.indexOf('@') !== atIndex) {
+    return `Email "${email}" has more than one @`
+  }
+  if (email.length > MAX_EMAIL_LENGTH) {
+    return `Email "${email}" is longer than ${MAX_EMAIL_LENGTH} characters`
+  }
+
+  const localPart = email.slice(0, atIndex)
+  const domain = email.slice(atIndex + 1)
+  if (localPart === '') {
+    return `Email "${email}" has nothing before the @`
+  }
+  if (
+    localPart.length > MAX_LOCAL_PART_LENGTH ||
+    !LOCAL_PART_PATTERN.test(localPart)
+  ) {
+    return `Email "${email}" has an invalid part before the @`
+  }
+  if (!DOMAIN_PATTERN.test(domain)) {
+    return `Email "${email}" has an invalid domain "${domain}"`
+  }
+  if (placeholderLocalParts.includes(localPart)) {
+    return `Email "${email}" is a placeholder, not an address`
+  }
+
+  return null
+}
+
+module.exports = { normalizeEmail, validateEmail }
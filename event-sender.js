@@ -0,0 +1,1638 @@
+// Record pipeline shared by the senders
+//
+// The webhook and LinkedIn CAPI senders read, check and prepare records the
+// same way; only configuring and sending differ. EventSender holds the shared
+// part, and each sender extends it:
+//   - input: choosing input files, streaming them into records, mapping
+//     export headers and parsing conversionTime values
+//   - conversion window: asking for and applying the old and future-dated
+//     timestamp strategies
+//   - validation: user info, currency and conversionTime checks sorted by the
+//     validation policy, the quarantine files and the --validate report
+//   - deduplication, the command-line options both senders take, and the
+//     settings read from them
+// Records are never all held in memory. The input is read once to count and
+// sample it (parseInputFiles), once to find the duplicates and plan the
+// timestamp rewrites (planRecords), and once more, RECORDS_PER_CHUNK records
+// at a time, to validate and send (recordsToSend).
+// A sender passes its name ('webhook' or 'linkedin-capi'), the unit it sends
+// ('request' or 'batch') and how to describe where events go, and implements
+// conversionKey(), getConversionTimeConfigurationIfAvailable() and
+// sendAllRecords().
+
+const fs = require('fs')
+const path = require('path')
+const readline = require('readline-sync')
+const { SOURCE_LINE } = require('./csv-parser')
+const {
+  isSupportedInputFile,
+  resolveInputFiles,
+  readInputRows,
+  SOURCE_FILE,
+} = require('./input-reader')
+const {
+  QuarantineWriter,
+  QUARANTINE_COLUMNS,
+  SOURCE_VALUES,
+  reasonCodes,
+} = require('./quarantine')
+const { parseArgs, formatHelp } = require('./cli-args')
+const { TimestampParser, DEFAULT_TIMEZONE } = require('./timestamp-parser')
+const { ValidationReport, reportPathFor } = require('./validation-report')
+const {
+  DEFAULT_MARGIN_HOURS,
+  DEFAULT_FUTURE_TOLERANCE_HOURS,
+  oldTimestampStrategies,
+  futureTimestampStrategies,
+  getOldTimestampStrategy,
+  getFutureTimestampStrategy,
+  checkMarginHours,
+  checkFutureHours,
+  isOlderThanWindow,
+  OldTimestampRewriter,
+  FutureTimestampRewriter,
+  countFutureDated,
+  formatFutureDated,
+} = require('./conversion-window')
+const { normalizeEmail, validateEmail } = require('./email-normalizer')
+const {
+  DEFAULT_DEDUP_KEY,
+  DEFAULT_LEDGER_FILE,
+  formatDedupKey,
+  Deduplicator,
+} = require('./dedup')
+const {
+  defaultCheckpointFile,
+  positionOf,
+  isBefore,
+  Checkpoint,
+} = require('./checkpoint')
+const { GracefulShutdown } = require('./shutdown')
+const {
+  resolveCountryCode,
+  isAmbiguousCountryCode,
+  resolveCurrencyCode,
+  findInactiveCurrency,
+} = require('./iso-codes')
+const { resolvePolicy, applyPolicy } = require('./validation-policy')
+const {
+  mappingProfiles,
+  resolveMapping,
+  detectMappingProfile,
+  profileToMapping,
+  applyHeaderMapping,
+  suggestHeaderMappings,
+} = require('./header-mapping')
+
+// Records read into memory at a time when the input is read for sending
+const RECORDS_PER_CHUNK = 10000
+
+// Record property holding conversionTime as read, before it is rewritten
+const ORIGINAL_TIME = Symbol('originalTime')
+
+// Function to build the command-line options of a sender; everything else is
+// asked for interactively
+// resumeNote is added to the --resume description
+function senderCliOptions(name, unit, resumeNote = '') {
+  return {
+    mapping: {
+      flag: '--mapping',
+      type: 'string',
+      description: `Header mapping: ${Object.keys(mappingProfiles).join(
+        ', '
+      )} or a JSON mapping file (default: auto-detect)`,
+    },
+    timezone: {
+      flag: '--timezone',
+      type: 'string',
+      description: `Timezone for conversionTime values without one: IANA name or UTC offset (default: ${DEFAULT_TIMEZONE})`,
+    },
+    oldTimestamps: {
+      flag: '--old-timestamps',
+      type: 'string',
+      description: `How to handle conversionTime values older than 90 days: ${Object.keys(
+        oldTimestampStrategies
+      ).join(', ')} (default: ask)`,
+    },
+    timestampMargin: {
+      flag: '--timestamp-margin',
+      type: 'number',
+      description: `Safety margin in hours inside the start of the 90-day window for rewritten timestamps (default: ${DEFAULT_MARGIN_HOURS})`,
+    },
+    futureTimestamps: {
+      flag: '--future-timestamps',
+      type: 'string',
+      description: `How to handle conversionTime values in the future, within the tolerance: ${Object.keys(
+        futureTimestampStrategies
+      ).join(', ')} (default: ask)`,
+    },
+    futureTolerance: {
+      flag: '--future-tolerance',
+      type: 'number',
+      description: `Hours ahead of the current time a conversionTime may be and still be rewritten; later ones are skipped (default: ${DEFAULT_FUTURE_TOLERANCE_HOURS})`,
+    },
+    futureOffset: {
+      flag: '--future-offset',
+      type: 'number',
+      description:
+        'Hours to move future-dated events back with --future-timestamps shift (default: the largest skew, rounded up to a whole hour)',
+    },
+    dedupKey: {
+      flag: '--dedup-key',
+      type: 'list',
+      description: `Components of the key that identifies duplicate events: email, conversion, time or time:<n>m|h|d, or column names (default: ${DEFAULT_DEDUP_KEY.join(
+        ','
+      )})`,
+    },
+    ledger: {
+      flag: '--ledger',
+      type: 'string',
+      description: `File recording the keys of events sent successfully, checked to skip events sent in earlier runs (default: ${DEFAULT_LEDGER_FILE})`,
+    },
+    ignoreLedger: {
+      flag: '--ignore-ledger',
+      type: 'boolean',
+      description:
+        'Send events again even if the ledger shows them as sent (sent keys are still recorded)',
+    },
+    input: {
+      flag: '--input',
+      alias: '-i',
+      type: 'list',
+      description:
+        'Input files, directories or glob patterns, comma-separated; extra arguments are added too (default: choose interactively)',
+    },
+    validate: {
+      flag: '--validate',
+      type: 'boolean',
+      description:
+        'Run every validation rule over the input, print and save a report, and exit without sending',
+    },
+    report: {
+      flag: '--report',
+      type: 'string',
+      description:
+        'File the --validate report is saved to (default: validation-report-<timestamp>.json next to the first input file)',
+    },
+    policy: {
+      flag: '--policy',
+      type: 'string',
+      description:
+        'Validation policy JSON file setting rules to error, warn or ignore (default: built-in rules)',
+    },
+    strict: {
+      flag: '--strict',
+      type: 'boolean',
+      description:
+        'Skip records on any warning; a --policy file can still relax rules',
+    },
+    resume: {
+      flag: '--resume',
+      type: 'boolean',
+      description:
+        'Continue the interrupted run saved in the checkpoint file, with the same settings' +
+        resumeNote,
+    },
+    checkpoint: {
+      flag: '--checkpoint',
+      type: 'string',
+      description: `Checkpoint file saved after every ${unit} and read by --resume (default: ${defaultCheckpointFile(
+        name
+      )})`,
+    },
+    help: {
+      flag: '--help',
+      alias: '-h',
+      type: 'boolean',
+      description: 'Show this help and exit',
+    },
+  }
+}
+
+class EventSender {
+  // name: 'webhook' or 'linkedin-capi'; unit: what one send is, 'request' or
+  // 'batch'; conversionLabel: where events go, for messages (e.g. 'the
+  // webhook URL'); platformName: the platform named in 90-day window messages
+  constructor(name, { unit, conversionLabel, platformName = null }) {
+    this.name = name
+    this.conversionLabel = conversionLabel
+    this.platformName = platformName
+    this.inputFiles = [] // Files sent as one job, with per-file counts
+    this.sampleRecords = [] // First records of the job, shown before asking about conversionTime
+    this.inputTimes = null // Counts of old and future conversionTime values, for choosing strategies
+    this.totalRecords = 0 // Records to send, once duplicates are dropped
+    this.handledRecords = 0 // ...of which the interrupted run handled, with --resume
+    this.sentRecords = 0
+    this.isRunning = false
+    this.headerMapping = null // Export header -> field map from --mapping
+    this.timestampParser = new TimestampParser() // Reads conversionTime values
+    this.policy = resolvePolicy() // Severity of each validation rule
+    this.logValidation = true // Print validation messages for each record
+    this.dryRun = false // --validate: no questions, no files but the report
+    this.reportPath = null // --report: where --validate saves the report (null: next to the first input file)
+    this.assumedStrategies = [] // Strategy settings --validate assumed instead of asking
+    this.useConversionTime = false // Whether to use conversionTime from CSV
+    this.oldTimestampStrategy = null // Strategy for timestamps older than 90 days (null: ask)
+    this.timestampMarginHours = DEFAULT_MARGIN_HOURS // Safety margin for rewritten timestamps
+    this.futureTimestampStrategy = null // Strategy for future timestamps within the tolerance (null: ask)
+    this.futureToleranceHours = DEFAULT_FUTURE_TOLERANCE_HOURS // How far ahead timestamps are still rewritten
+    this.futureOffsetHours = null // Shift offset for future timestamps (null: largest skew)
+    this.futureDated = null // Counts of future-dated events for the summary
+    this.futureRewriter = null // FutureTimestampRewriter planned by planRecords()
+    this.oldRewriter = null // OldTimestampRewriter planned by planRecords()
+    this.rewrites = null // Counts and examples of rewritten timestamps for the summary
+    this.referenceTime = Date.now() // "Now" old and future timestamps are rewritten against; kept across --resume
+    this.deduplicator = new Deduplicator() // Dedup key and ledger of sent events
+    this.checkLedger = true // Drop events the ledger shows as sent
+    this.dedupOptions = null // Deduplicator.filter() options of the job
+    this.duplicates = null // Counts of dropped duplicates for the summary
+    this.argv = [] // Command-line arguments, saved in the checkpoint
+    this.checkpoint = new Checkpoint(defaultCheckpointFile(name), name) // Progress saved while sending
+    this.resumeFrom = null // Progress of the interrupted run, with --resume
+    this.shutdown = new GracefulShutdown(unit, () => {
+      this.isRunning = false
+    }) // Stops sending on Ctrl-C or SIGTERM
+  }
+
+  // Name of the 90-day window limit in messages
+  windowLimit() {
+    return this.platformName
+      ? `90-day ${this.platformName} limit`
+      : '90-day limit'
+  }
+
+  // Apply the command-line arguments; with --resume the arguments and
+  // settings come from the checkpoint instead. Returns the options, or null
+  // after printing --help
+  applyOptions(argv, cliOptions) {
+    let { options, positional } = parseArgs(argv, cliOptions)
+    if (options.help) {
+      console.log(
+        formatHelp(
+          `node ${this.name}-sender.js [options] [input ...]`,
+          cliOptions
+        )
+      )
+      return null
+    }
+    if (options.checkpoint) {
+      this.checkpoint = new Checkpoint(options.checkpoint, this.name)
+    }
+    if (options.resume) {
+      const otherOptions = Object.keys(options).filter(
+        (name) => name !== 'resume' && name !== 'checkpoint'
+      )
+      if (otherOptions.length > 0 || positional.length > 0) {
+        throw new Error(
+          '--resume takes every option from the checkpoint; only --checkpoint can be given with it'
+        )
+      }
+      const saved = this.checkpoint.load()
+      this.applyCheckpointSettings(saved.settings)
+      this.resumeFrom = saved.progress
+      argv = saved.argv
+      ;({ options, positional } = parseArgs(argv, cliOptions))
+    }
+    this.argv = argv
+    if (options.mapping) {
+      this.headerMapping = resolveMapping(options.mapping)
+    }
+    if (options.timezone) {
+      this.timestampParser = new TimestampParser(options.timezone)
+    }
+    if (options.oldTimestamps) {
+      this.oldTimestampStrategy = getOldTimestampStrategy(options.oldTimestamps)
+    }
+    if (options.timestampMargin !== undefined) {
+      this.timestampMarginHours = checkMarginHours(options.timestampMargin)
+    }
+    if (options.futureTimestamps) {
+      this.futureTimestampStrategy = getFutureTimestampStrategy(
+        options.futureTimestamps
+      )
+    }
+    if (options.futureTolerance !== undefined) {
+      this.futureToleranceHours = checkFutureHours(
+        'Future tolerance',
+        options.futureTolerance
+      )
+    }
+    if (options.futureOffset !== undefined) {
+      this.futureOffsetHours = checkFutureHours(
+        'Future offset',
+        options.futureOffset
+      )
+    }
+    this.deduplicator = new Deduplicator(
+      options.dedupKey || DEFAULT_DEDUP_KEY,
+      options.ledger || DEFAULT_LEDGER_FILE
+    )
+    this.checkLedger = !options.ignoreLedger
+    this.policy = resolvePolicy({
+      strict: options.strict,
+      file: options.policy,
+    })
+    // Unquoted globs are expanded by the shell into extra arguments
+    const inputSpecs = [...(options.input || []), ...positional]
+    if (inputSpecs.length > 0) {
+      this.setInputFiles(resolveInputFiles(inputSpecs))
+    }
+    if (this.resumeFrom) {
+      this.setInputFiles(
+        this.checkpoint.data.inputFiles.map((file) => file.path)
+      )
+    }
+
+    // --validate is a dry run: no questions, no files but the report
+    this.dryRun = Boolean(options.validate)
+    if (options.report && !this.dryRun) {
+      throw new Error('--report can only be given with --validate')
+    }
+    this.reportPath = options.report || null
+    return options
+  }
+
+  // Settings of the run saved in the checkpoint; senders add their own
+  checkpointSettings() {
+    return {
+      useConversionTime: this.useConversionTime,
+      oldTimestampStrategy: this.oldTimestampStrategy,
+      futureTimestampStrategy: this.futureTimestampStrategy,
+      referenceTime: this.referenceTime,
+    }
+  }
+
+  // Apply the settings saved by checkpointSettings() when resuming
+  applyCheckpointSettings(settings) {
+    this.useConversionTime = settings.useConversionTime
+    this.oldTimestampStrategy = settings.oldTimestampStrategy
+    this.futureTimestampStrategy = settings.futureTimestampStrategy
+    this.referenceTime = settings.referenceTime
+  }
+
+  // Ask before sending; a resumed run goes on without asking, it was
+  // confirmed when it started
+  confirmSending() {
+    if (this.resumeFrom) {
+      return true
+    }
+    const confirm = readline.question('\nProceed with sending? (y/n): ')
+    return confirm.toLowerCase() === 'y' || confirm.toLowerCase() === 'yes'
+  }
+
+  // Find the duplicates, plan the timestamp rewrites and send the records,
+  // then close the quarantine files
+  async processRecords() {
+    await this.planRecords()
+    await this.sendAllRecords()
+    this.closeQuarantine()
+    this.shutdown.uninstall()
+
+    console.log(
+      this.shutdown.signal
+        ? '\n🛑 Process stopped early - continue with --resume'
+        : '\n🎉 Process completed!'
+    )
+  }
+
+  // Use the given input file paths for this job
+  setInputFiles(filepaths) {
+    this.inputFiles = filepaths.map((filepath) => ({
+      path: filepath,
+      name: path.relative(process.cwd(), filepath) || filepath,
+      headers: null, // Field names of the columns, once mapped
+      recordCount: 0, // Records parsed from this file
+      malformedRows: 0, // Rows quarantined while parsing
+      normalizedEmails: 0, // Email addresses changed by normalisation
+      lowercasedEmails: 0, // ...of which only the case changed
+      duplicates: 0, // Records dropped as duplicates
+      sent: 0,
+      failed: 0,
+      quarantine: null, // QuarantineWriter for this file's rejected rows
+    }))
+  }
+
+  // Browse and select input files (CSV, TSV, JSON or NDJSON, optionally .gz)
+  // Skipped when files were given with --input
+  selectInputFiles() {
+    console.log('\n=== Input File Selection ===')
+
+    if (this.inputFiles.length > 0) {
+      console.log(`✅ Input files from --input (${this.inputFiles.length}):`)
+      this.inputFiles.forEach((file) => console.log(`   • ${file.name}`))
+      return
+    }
+
+    if (this.dryRun) {
+      throw new Error(
+        'Validation needs input files: give them with --input or as arguments'
+      )
+    }
+
+    // Get all supported input files in the app directory
+    const csvFiles = fs
+      .readdirSync(__dirname)
+      .filter(isSupportedInputFile)
+      .sort()
+
+    if (csvFiles.length === 0) {
+      console.log('No input files found in the app directory')
+    } else {
+      console.log('Available input files:')
+      csvFiles.forEach((file, index) => {
+        const stats = fs.statSync(path.join(__dirname, file))
+        const sizeKB = (stats.size / 1024).toFixed(2)
+        console.log(`${index + 1}. ${file} (${sizeKB} KB)`)
+      })
+    }
+
+    while (this.inputFiles.length === 0) {
+      const selection = readline
+        .question(
+          'Select an input file (enter number, or a path, glob or directory): '
+        )
+        .trim()
+      if (/^\d+$/.test(selection)) {
+        const index = parseInt(selection) - 1
+        if (index >= 0 && index < csvFiles.length) {
+          this.setInputFiles([path.join(__dirname, csvFiles[index])])
+        } else {
+          console.log('❌ Please enter a valid number')
+        }
+      } else if (selection !== '') {
+        // Paths and globs are relative to the current directory
+        try {
+          this.setInputFiles(resolveInputFiles([selection]))
+        } catch (error) {
+          console.log(`❌ ${error.message}`)
+        }
+      }
+    }
+
+    console.log(
+      `✅ Selected input files: ${this.inputFiles
+        .map((file) => file.name)
+        .join(', ')}`
+    )
+  }
+
+  // Read all input files once to count their records, report what they hold
+  // and keep a few samples; the records are read again when they are sent
+  async parseInputFiles() {
+    this.sampleRecords = []
+    const classifier = new FutureTimestampRewriter('skip', {
+      toleranceHours: this.futureToleranceHours,
+      now: this.referenceTime,
+    })
+    let oldCount = 0
+    for (const file of this.inputFiles) {
+      await this.parseInputFile(file, (record) => {
+        if (this.sampleRecords.length < 3) {
+          this.sampleRecords.push(record)
+        }
+        if (/^\d+$/.test(record.conversionTime)) {
+          const timestamp = parseInt(record.conversionTime)
+          classifier.observe(timestamp)
+          if (isOlderThanWindow(timestamp, this.referenceTime)) {
+            oldCount++
+          }
+        }
+      })
+    }
+    this.inputTimes = {
+      old: oldCount,
+      future: classifier.future.total,
+      withinTolerance: classifier.future.withinTolerance,
+    }
+
+    this.totalRecords = this.inputFiles.reduce(
+      (sum, file) => sum + file.recordCount,
+      0
+    )
+    if (this.inputFiles.length > 1) {
+      console.log(
+        `\n✅ Parsed ${this.totalRecords} records from ${this.inputFiles.length} files`
+      )
+    }
+  }
+
+  // Parse input file
+  // Reads every record once, calling onRecord(record) for each, and reports
+  // the records, malformed rows, normalised emails and conversionTime formats
+  // found
+  async parseInputFile(file, onRecord) {
+    console.log(`\n=== Parsing Input File: ${file.name} ===`)
+
+    try {
+      const stats = {
+        dataRows: 0,
+        timeFormats: {}, // conversionTime format -> count
+        unparsedTimes: { count: 0, examples: [] }, // { line, value } examples
+      }
+      for await (const record of this.readRecords(file, stats)) {
+        file.recordCount++
+        onRecord(record)
+      }
+
+      if (stats.dataRows === 0) {
+        throw new Error(
+          'Input file must have at least a header row and one data row'
+        )
+      }
+
+      console.log(`✅ Parsed ${file.recordCount} records successfully`)
+      if (file.malformedRows > 0) {
+        console.log(
+          `⚠️  ${file.malformedRows} malformed rows ${
+            this.dryRun ? 'found' : 'were quarantined'
+          }`
+        )
+      }
+      if (file.normalizedEmails > 0) {
+        console.log(
+          `✉️  Normalised ${file.normalizedEmails} email addresses (${file.lowercasedEmails} only lowercased)`
+        )
+      }
+      this.reportTimestampParsing(stats.timeFormats, stats.unparsedTimes)
+    } catch (error) {
+      throw new Error(`Failed to parse ${file.name}: ${error.message}`)
+    }
+  }
+
+  // Stream the records of an input file
+  // The file goes through the shared input reader: delimited text goes
+  // through the RFC 4180 parser (delimiter auto-detected), JSON and NDJSON
+  // objects become rows, and .gz files are decompressed on the fly, so every
+  // format produces the same records and large exports are never read into
+  // memory. The first read (with stats) maps the headers, quarantines
+  // malformed rows and counts what it finds; later reads give the same
+  // records again.
+  async *readRecords(file, stats = null) {
+    const scan = stats !== null
+    const rows = readInputRows(
+      file.path,
+      scan
+        ? {
+            onFormat: (format) => console.log(`📄 Input format: ${format}`),
+            onDroppedKeys: (keys, line) =>
+              console.log(
+                `⚠️  Line ${line}: dropping ${keys.join(
+                  ', '
+                )} - not in the header taken from the first object`
+              ),
+          }
+        : {}
+    )
+    let isHeaderRow = true
+    for await (const row of rows) {
+      // Parse header
+      if (isHeaderRow) {
+        isHeaderRow = false
+        if (scan) {
+          const headers = row.values.map((h) => h.trim())
+          console.log(`📋 Headers found: ${headers.join(', ')}`)
+          file.headers = this.mapHeaders(headers)
+
+          // Columns added to a quarantine file are not data
+          file.quarantine = new QuarantineWriter(
+            file.path,
+            file.headers.filter(
+              (header) => !QUARANTINE_COLUMNS.includes(header)
+            ),
+            { countOnly: this.dryRun }
+          )
+        }
+        continue
+      }
+
+      // Parse data rows
+      const headers = file.headers
+      const values = row.values
+      if (scan) {
+        stats.dataRows++
+      }
+      if (values.length !== headers.length) {
+        if (scan) {
+          console.log(
+            `⚠️  Quarantining line ${row.line}: expected ${headers.length} values, found ${values.length}`
+          )
+          file.malformedRows++
+          file.quarantine.addRow(values, row.line, [
+            {
+              code: 'COLUMN_COUNT_MISMATCH',
+              message: `Expected ${headers.length} values, found ${values.length}`,
+            },
+          ])
+        }
+        continue
+      }
+
+      const record = {}
+      headers.forEach((header, index) => {
+        if (QUARANTINE_COLUMNS.includes(header)) {
+          return
+        }
+
+        let value = values[index].trim()
+
+        // Clean SFDC-specific formatting
+        value = this.cleanSfdcValue(value)
+
+        // Normalise email (trim, mailto:, brackets, case) before it is
+        // validated, hashed or sent
+        if (header === 'email' && value) {
+          const email = normalizeEmail(value)
+          if (scan && email !== value) {
+            file.normalizedEmails++
+            if (email === value.toLowerCase()) {
+              file.lowercasedEmails++
+            }
+          }
+          value = email
+        }
+
+        // Convert conversionTime to epoch milliseconds; unparseable
+        // values are kept as-is and rejected by validation
+        if (header === 'conversionTime' && value) {
+          const parsed = this.timestampParser.parse(value)
+          if (parsed) {
+            value = parsed.epoch.toString()
+            if (scan) {
+              stats.timeFormats[parsed.format] =
+                (stats.timeFormats[parsed.format] || 0) + 1
+            }
+          } else if (scan) {
+            stats.unparsedTimes.count++
+            if (stats.unparsedTimes.examples.length < 10) {
+              stats.unparsedTimes.examples.push({ line: row.line, value })
+            }
+          }
+        }
+
+        record[header] = value
+      })
+      record[SOURCE_LINE] = row.line
+      record[SOURCE_FILE] = file
+      record[SOURCE_VALUES] = values.filter(
+        (value, index) => !QUARANTINE_COLUMNS.includes(headers[index])
+      )
+      yield record
+    }
+  }
+
+  // Read the records of all input files again, in input order, in chunks of
+  // at most RECORDS_PER_CHUNK records
+  async *readChunks() {
+    let chunk = []
+    for (const file of this.inputFiles) {
+      for await (const record of this.readRecords(file)) {
+        chunk.push(record)
+        if (chunk.length === RECORDS_PER_CHUNK) {
+          yield chunk
+          chunk = []
+        }
+      }
+    }
+    if (chunk.length > 0) {
+      yield chunk
+    }
+  }
+
+  // Rename export headers to the field names used by this sender
+  // Uses the --mapping profile or file, otherwise a detected built-in profile,
+  // then offers fuzzy suggestions for headers that are still unrecognised
+  mapHeaders(headers) {
+    let mapping = this.headerMapping
+    if (!mapping) {
+      const detected = detectMappingProfile(headers)
+      if (detected) {
+        console.log(
+          `🔎 Detected ${detected.name} export (${detected.matched} matching headers) - use --mapping to choose another profile`
+        )
+        mapping = profileToMapping(mappingProfiles[detected.name])
+      }
+    }
+
+    const result = mapping
+      ? applyHeaderMapping(headers, mapping)
+      : { headers, renamed: [], skipped: [] }
+    result.renamed.forEach(({ from, to }) => {
+      console.log(`   • ${from} → ${to}`)
+    })
+    result.skipped.forEach(({ from, to }) => {
+      console.log(`   • ${from} not mapped (${to} already has a column)`)
+    })
+
+    // Offer fuzzy matches for fields no column provides yet
+    const suggestions = suggestHeaderMappings(result.headers)
+    if (suggestions.length > 0) {
+      console.log('💡 Unrecognised headers that look like known fields:')
+      suggestions.forEach((suggestion) => {
+        console.log(
+          `   • "${suggestion.header}" → ${suggestion.field} (${Math.round(
+            suggestion.score * 100
+          )}% match)`
+        )
+      })
+      // Validation does not ask and keeps the headers as they are
+      const useSuggestions = this.dryRun
+        ? 'n'
+        : readline.question('Use these suggested mappings? (y/n): ')
+      if (
+        useSuggestions.toLowerCase() === 'y' ||
+        useSuggestions.toLowerCase() === 'yes'
+      ) {
+        const suggested = applyHeaderMapping(
+          result.headers,
+          Object.fromEntries(
+            suggestions.map((suggestion) => [
+              suggestion.header,
+              suggestion.field,
+            ])
+          )
+        )
+        result.headers = suggested.headers
+        result.renamed.push(...suggested.renamed)
+      } else {
+        console.log(
+          '   Keeping original headers - use --mapping with a JSON file to map them'
+        )
+      }
+    }
+
+    if (result.renamed.length > 0) {
+      console.log(`🔁 Mapped headers: ${result.headers.join(', ')}`)
+    }
+
+    return result.headers
+  }
+
+  // Clean SFDC-specific value formatting; quotes are already removed and
+  // unescaped by the CSV parser
+  cleanSfdcValue(value) {
+    // Convert "[not provided]" to empty string
+    if (value === '[not provided]') {
+      return ''
+    }
+
+    return value
+  }
+
+  // Show which conversionTime formats were found and which values could
+  // not be parsed: unparsedTimes is { count, examples: [{ line, value }] }
+  reportTimestampParsing(timeFormats, unparsedTimes) {
+    const formats = Object.entries(timeFormats)
+    if (formats.length > 0) {
+      console.log(
+        `🕒 conversionTime formats: ${formats
+          .map(([format, count]) => `${format} (${count})`)
+          .join(', ')} - values without a timezone read as ${
+          this.timestampParser.timezone
+        }`
+      )
+    }
+
+    const { count, examples } = unparsedTimes
+    if (count === 0) {
+      return
+    }
+    console.log(
+      `⚠️  ${count} conversionTime values could not be parsed (rows are skipped when conversionTime is used):`
+    )
+    examples.forEach(({ line, value }) => {
+      console.log(`   • Line ${line}: "${value}"`)
+    })
+    if (count > examples.length) {
+      console.log(`   • ... and ${count - examples.length} more`)
+    }
+  }
+
+  // Read the records again to drop duplicates and plan the timestamp
+  // rewrites. Records whose dedup key repeats an earlier record's or, with
+  // checkLedger, is in the ledger of events already sent are dropped; the old
+  // and future-dated strategies are planned over the records left. Runs
+  // before timestamps are rewritten, so keys use the original conversionTime.
+  // Only counts are kept: recordsToSend() drops and rewrites the same records
+  // as it reads them.
+  async planRecords({ checkLedger = this.checkLedger } = {}) {
+    this.dedupOptions = {
+      conversion: this.conversionKey(),
+      useConversionTime: this.useConversionTime,
+      checkLedger,
+      handled: (record) => this.isHandled(record),
+    }
+    this.futureRewriter =
+      this.useConversionTime && this.futureTimestampStrategy !== null
+        ? new FutureTimestampRewriter(this.futureTimestampStrategy, {
+            toleranceHours: this.futureToleranceHours,
+            offsetHours: this.futureOffsetHours,
+            now: this.referenceTime,
+          })
+        : null
+    this.oldRewriter =
+      this.useConversionTime && this.oldTimestampStrategy !== null
+        ? new OldTimestampRewriter(this.oldTimestampStrategy, {
+            marginHours: this.timestampMarginHours,
+            now: this.referenceTime,
+          })
+        : null
+    this.rewrites = {
+      future: { count: 0, examples: [] },
+      old: { count: 0, examples: [] },
+      stillOld: 0,
+    }
+
+    const rowOf = (record) =>
+      `${record[SOURCE_FILE].name}:${record[SOURCE_LINE]}`
+    const seen = new Map()
+    const examples = [] // First duplicates within the input
+    let inInputCount = 0
+    let alreadySentCount = 0
+    let futureRange = null // Earliest and latest future-dated times to rewrite
+    this.totalRecords = 0
+    this.handledRecords = 0
+
+    for await (const chunk of this.readChunks()) {
+      const { unique, inInput, alreadySent } = this.deduplicator.filter(chunk, {
+        ...this.dedupOptions,
+        seen,
+      })
+      inInputCount += inInput.length
+      alreadySentCount += alreadySent.length
+      inInput.forEach(({ record }) => record[SOURCE_FILE].duplicates++)
+      alreadySent.forEach((record) => record[SOURCE_FILE].duplicates++)
+      inInput
+        .slice(0, 3 - examples.length)
+        .forEach(({ record, duplicateOf }) => {
+          examples.push(`${rowOf(record)} (same as ${rowOf(duplicateOf)})`)
+        })
+      // Logged chunk by chunk, so the log entries stay small
+      if (!this.dryRun && inInput.length + alreadySent.length > 0) {
+        await this.writeLogToFile('duplicates.log', {
+          timestamp: new Date().toISOString(),
+          dedupKey: formatDedupKey(this.deduplicator.components),
+          ledger: checkLedger ? this.deduplicator.ledger.filepath : null,
+          inInput: inInput.map(({ record, duplicateOf }) => ({
+            row: rowOf(record),
+            duplicateOf: rowOf(duplicateOf),
+          })),
+          alreadySent: alreadySent.map(rowOf),
+        })
+      }
+
+      unique.forEach((record) => {
+        this.totalRecords++
+        if (this.isHandled(record)) {
+          this.handledRecords++
+        }
+        if (!/^\d+$/.test(record.conversionTime)) {
+          return
+        }
+        const timestamp = parseInt(record.conversionTime)
+        if (this.futureRewriter) {
+          this.futureRewriter.observe(timestamp)
+          if (this.futureRewriter.isWithinTolerance(timestamp)) {
+            futureRange = futureRange || {
+              earliest: timestamp,
+              latest: timestamp,
+            }
+            futureRange.earliest = Math.min(futureRange.earliest, timestamp)
+            futureRange.latest = Math.max(futureRange.latest, timestamp)
+          }
+        }
+        if (this.oldRewriter) {
+          this.oldRewriter.observe(timestamp)
+        }
+      })
+    }
+
+    // Old timestamps are rewritten after future-dated ones, so the old
+    // strategy sees those where they end up; rewriting keeps their order, so
+    // the earliest and latest are enough
+    if (this.futureRewriter) {
+      this.futureRewriter.completePlan()
+      this.futureDated = countFutureDated(this.futureRewriter)
+    }
+    if (this.oldRewriter) {
+      if (futureRange) {
+        this.oldRewriter.observe(
+          this.futureRewriter.rewrite(futureRange.earliest)
+        )
+        this.oldRewriter.observe(
+          this.futureRewriter.rewrite(futureRange.latest)
+        )
+      }
+      this.oldRewriter.completePlan()
+    }
+
+    this.duplicates = {
+      inInput: inInputCount,
+      alreadySent: alreadySentCount,
+    }
+    console.log('\n=== Deduplication ===')
+    console.log(`🔑 Dedup key: ${formatDedupKey(this.deduplicator.components)}`)
+    if (this.deduplicator.usesRowPosition(this.useConversionTime)) {
+      console.log(
+        '💡 conversionTime is not used: the row position stands in for time, so only rows repeated by an identical re-run are duplicates'
+      )
+    }
+    if (inInputCount > 0) {
+      console.log(
+        `🔁 Dropped ${inInputCount} duplicates within the input, e.g.:`
+      )
+      examples.forEach((example) => console.log(`   • ${example}`))
+    }
+    if (checkLedger) {
+      console.log(
+        `📒 Dropped ${alreadySentCount} events already sent in earlier runs (${this.deduplicator.ledger.filepath})`
+      )
+    } else if (this.checkLedger) {
+      console.log(
+        `💡 Ledger of sent events not checked: ${this.conversionLabel} is only known when sending`
+      )
+    } else {
+      console.log(
+        '⚠️  Ledger of sent events not checked (--ignore-ledger): events sent before will be sent again'
+      )
+    }
+
+    if (inInputCount === 0 && alreadySentCount === 0) {
+      console.log('✅ No duplicates found')
+    } else if (!this.dryRun) {
+      console.log('📝 Dropped rows logged to duplicates.log')
+    }
+
+    if (this.futureDated && this.futureDated.beyondTolerance > 0) {
+      console.log(
+        `⚠️  ${this.futureDated.beyondTolerance} conversion times are more than ${this.futureToleranceHours} hours in the future and will be skipped`
+      )
+    }
+  }
+
+  // Drop the duplicates from a chunk of records read again and rewrite their
+  // timestamps as planRecords() planned; seen carries the dedup keys from
+  // chunk to chunk. With track, the rewrites of records still to send are
+  // counted for the summary and logged. Returns the records left
+  async prepareChunk(chunk, seen, track) {
+    const { unique } = this.deduplicator.filter(chunk, {
+      ...this.dedupOptions,
+      seen,
+    })
+    const rewrites = { future: [], old: [] }
+    unique.forEach((record) => {
+      record[ORIGINAL_TIME] = record.conversionTime
+      if (!/^\d+$/.test(record.conversionTime)) {
+        return
+      }
+      const tracked = track && !this.isHandled(record)
+      const rewriters = { future: this.futureRewriter, old: this.oldRewriter }
+      Object.entries(rewriters).forEach(([kind, rewriter]) => {
+        if (!rewriter) {
+          return
+        }
+        const original = parseInt(record.conversionTime)
+        const rewritten = rewriter.rewrite(original)
+        if (rewritten !== original) {
+          record.conversionTime = rewritten.toString()
+          if (tracked) {
+            rewrites[kind].push({
+              row: `${record[SOURCE_FILE].name}:${record[SOURCE_LINE]}`,
+              original: new Date(original).toISOString(),
+              rewritten: new Date(rewritten).toISOString(),
+            })
+          }
+        }
+      })
+      if (
+        tracked &&
+        this.oldRewriter &&
+        isOlderThanWindow(parseInt(record.conversionTime), this.referenceTime)
+      ) {
+        this.rewrites.stillOld++
+      }
+    })
+    if (track) {
+      await this.logRewrites(rewrites)
+    }
+    return unique
+  }
+
+  // Count the rewrites of a chunk for the summary, keeping a few examples,
+  // and log them next to their original values
+  async logRewrites(rewrites) {
+    const entries = {
+      future: {
+        strategy: this.futureTimestampStrategy,
+        toleranceHours: this.futureToleranceHours,
+        offsetHours: this.futureRewriter && this.futureRewriter.offsetHours,
+      },
+      old: {
+        strategy: this.oldTimestampStrategy,
+        marginHours: this.timestampMarginHours,
+      },
+    }
+    for (const kind of ['future', 'old']) {
+      if (rewrites[kind].length === 0) {
+        continue
+      }
+      const counts = this.rewrites[kind]
+      counts.count += rewrites[kind].length
+      counts.examples.push(
+        ...rewrites[kind].slice(0, 3 - counts.examples.length)
+      )
+      if (!this.dryRun) {
+        await this.writeLogToFile('timestamp-rewrites.log', {
+          timestamp: new Date().toISOString(),
+          kind,
+          ...entries[kind],
+          rewrites: rewrites[kind],
+        })
+      }
+    }
+  }
+
+  // Stream the records to send, in input order: the input is read again
+  // RECORDS_PER_CHUNK records at a time, duplicates are dropped and
+  // timestamps rewritten, and records the interrupted run handled are
+  // skipped. Only the current chunk is held in memory
+  async *recordsToSend() {
+    const seen = new Map()
+    for await (const chunk of this.readChunks()) {
+      const records = await this.prepareChunk(chunk, seen, true)
+      for (const record of records) {
+        if (!this.isHandled(record)) {
+          yield record
+        }
+      }
+    }
+  }
+
+  // Stream the records at the given { file, line } positions, prepared as
+  // recordsToSend() prepares them, in input order
+  async *recordsAt(positions) {
+    const wanted = new Set(positions.map(({ file, line }) => `${file}:${line}`))
+    const seen = new Map()
+    let found = 0
+    for await (const chunk of this.readChunks()) {
+      const records = await this.prepareChunk(chunk, seen, false)
+      for (const record of records) {
+        const { file, line } = positionOf(this.inputFiles, record)
+        if (wanted.has(`${file}:${line}`)) {
+          yield record
+          if (++found === wanted.size) {
+            return
+          }
+        }
+      }
+    }
+  }
+
+  // Show how many duplicates were dropped before sending
+  displayDuplicates() {
+    if (!this.duplicates) {
+      return
+    }
+    const { inInput, alreadySent } = this.duplicates
+    if (inInput + alreadySent > 0) {
+      console.log(
+        `🔁 Duplicates dropped: ${
+          inInput + alreadySent
+        } records (${inInput} within the input, ${alreadySent} already sent)`
+      )
+    }
+  }
+
+  // Ask how to handle timestamps older than 90 days, unless --old-timestamps
+  // chose already or there are none
+  selectOldTimestampStrategy() {
+    const oldCount = this.inputTimes.old
+    if (this.platformName) {
+      console.log(
+        `\n💡 ${this.platformName} only accepts timestamps within the last 90 days`
+      )
+    }
+    console.log(
+      `${this.platformName ? '📋' : '\n💡'} ${oldCount} of ${
+        this.totalRecords
+      } conversion times are older than 90 days`
+    )
+
+    if (this.oldTimestampStrategy === null && this.dryRun && oldCount > 0) {
+      // Validation does not ask: old events are reported as skipped unless
+      // --old-timestamps chose a strategy
+      this.oldTimestampStrategy = 'skip'
+      this.assumedStrategies.push('oldTimestamps')
+    }
+    if (this.oldTimestampStrategy === null) {
+      if (oldCount === 0) {
+        this.oldTimestampStrategy = 'skip'
+        return
+      }
+
+      const strategies = Object.keys(oldTimestampStrategies)
+      strategies.forEach((name, index) => {
+        console.log(`${index + 1}. ${name} - ${oldTimestampStrategies[name]}`)
+      })
+      while (this.oldTimestampStrategy === null) {
+        const selection = readline
+          .question(
+            `How should events older than 90 days be handled? (1-${strategies.length}): `
+          )
+          .trim()
+        const index = parseInt(selection) - 1
+        if (
+          /^\d+$/.test(selection) &&
+          index >= 0 &&
+          index < strategies.length
+        ) {
+          this.oldTimestampStrategy = strategies[index]
+        } else if (strategies.includes(selection)) {
+          this.oldTimestampStrategy = selection
+        } else {
+          console.log('❌ Please enter a valid number')
+        }
+      }
+    }
+
+    console.log(
+      `✅ Old timestamps: ${this.oldTimestampStrategy} - ${
+        oldTimestampStrategies[this.oldTimestampStrategy]
+      }`
+    )
+  }
+
+  // Ask how to handle future-dated timestamps within the tolerance, unless
+  // --future-timestamps chose already or there are none
+  selectFutureTimestampStrategy() {
+    const { future, withinTolerance } = this.inputTimes
+    if (future === 0) {
+      if (this.futureTimestampStrategy === null) {
+        this.futureTimestampStrategy = 'skip'
+      }
+      return
+    }
+
+    console.log(
+      `\n🔮 ${future} of ${this.totalRecords} conversion times are in the future, ${withinTolerance} within the ${this.futureToleranceHours}-hour tolerance`
+    )
+
+    if (this.futureTimestampStrategy === null && this.dryRun) {
+      // Validation does not ask: future-dated events are reported as skipped
+      // unless --future-timestamps chose a strategy
+      this.futureTimestampStrategy = 'skip'
+      this.assumedStrategies.push('futureTimestamps')
+    }
+    if (this.futureTimestampStrategy === null) {
+      if (withinTolerance === 0) {
+        this.futureTimestampStrategy = 'skip'
+        return
+      }
+
+      const strategies = Object.keys(futureTimestampStrategies)
+      strategies.forEach((name, index) => {
+        console.log(
+          `${index + 1}. ${name} - ${futureTimestampStrategies[name]}`
+        )
+      })
+      while (this.futureTimestampStrategy === null) {
+        const selection = readline
+          .question(
+            `How should future-dated events within the tolerance be handled? (1-${strategies.length}): `
+          )
+          .trim()
+        const index = parseInt(selection) - 1
+        if (
+          /^\d+$/.test(selection) &&
+          index >= 0 &&
+          index < strategies.length
+        ) {
+          this.futureTimestampStrategy = strategies[index]
+        } else if (strategies.includes(selection)) {
+          this.futureTimestampStrategy = selection
+        } else {
+          console.log('❌ Please enter a valid number')
+        }
+      }
+    }
+
+    console.log(
+      `✅ Future timestamps: ${this.futureTimestampStrategy} - ${
+        futureTimestampStrategies[this.futureTimestampStrategy]
+      }`
+    )
+  }
+
+  // Validate if timestamp is within last 90 days
+  isValidConversionTime(timestamp) {
+    if (!timestamp || isNaN(timestamp)) {
+      return false
+    }
+
+    const now = Date.now()
+    const ninetyDaysAgo = now - 90 * 24 * 60 * 60 * 1000 // 90 days in milliseconds
+
+    return timestamp >= ninetyDaysAgo && timestamp <= now
+  }
+
+  // Validate currency code and conversion value pair
+  validateCurrencyData(record) {
+    const hasCurrencyCode =
+      record.currencyCode && record.currencyCode.trim() !== ''
+    const hasConversionValue =
+      record.conversionValue && record.conversionValue.trim() !== ''
+
+    // If neither field is provided, that's fine - both will be ignored
+    if (!hasCurrencyCode && !hasConversionValue) {
+      return { valid: true, shouldInclude: false }
+    }
+
+    // If only one field is provided, ignore both
+    if (!hasCurrencyCode || !hasConversionValue) {
+      return {
+        valid: true,
+        shouldInclude: false,
+        code: 'INCOMPLETE_CURRENCY',
+        warning:
+          'Currency data incomplete - both currencyCode and conversionValue required, ignoring both fields',
+      }
+    }
+
+    // Resolve the currency code or name to an ISO 4217 code
+    const currencyCode = resolveCurrencyCode(record.currencyCode)
+    const inactive = !currencyCode && findInactiveCurrency(record.currencyCode)
+    if (inactive) {
+      return {
+        valid: true,
+        shouldInclude: false,
+        code: 'INACTIVE_CURRENCY_CODE',
+        warning: `currencyCode "${record.currencyCode.trim()}" is ${
+          inactive.withdrawn
+            ? `a withdrawn currency (${inactive.name})`
+            : `not a currency (${inactive.name})`
+        } - only active ISO 4217 currencies are accepted, ignoring currency data`,
+      }
+    }
+    if (!currencyCode) {
+      return {
+        valid: true,
+        shouldInclude: false,
+        code: 'INVALID_CURRENCY_CODE',
+        warning: `Unknown currencyCode "${record.currencyCode.trim()}" - must be an ISO 4217 code or currency name, ignoring currency data`,
+      }
+    }
+
+    // Validate conversion value (must be a number >= 0)
+    const conversionValue = parseFloat(record.conversionValue)
+    if (isNaN(conversionValue) || conversionValue < 0) {
+      return {
+        valid: true,
+        shouldInclude: false,
+        code: 'INVALID_CONVERSION_VALUE',
+        warning:
+          'Invalid conversionValue - must be a number >= 0, ignoring currency data',
+      }
+    }
+
+    return { valid: true, shouldInclude: true, currencyCode, conversionValue }
+  }
+
+  // Validate user information fields
+  // Warnings are { code, message } issues; countryCode is the resolved ISO
+  // 3166-1 alpha-2 code, or undefined when it is missing or unknown
+  validateUserInfo(record) {
+    const warnings = []
+
+    // Resolve the country code or name; an unknown country is dropped
+    let countryCode
+    if (record.countryCode && record.countryCode.trim() !== '') {
+      countryCode = resolveCountryCode(record.countryCode) || undefined
+      if (isAmbiguousCountryCode(record.countryCode)) {
+        warnings.push({
+          code: 'AMBIGUOUS_COUNTRY_CODE',
+          message: `Ambiguous countryCode "${record.countryCode.trim()}" - usually means "not available" rather than Namibia (use NAM or Namibia), ignoring countryCode`,
+        })
+      } else if (!countryCode) {
+        warnings.push({
+          code: 'INVALID_COUNTRY_CODE',
+          message: `Unknown countryCode "${record.countryCode.trim()}" - must be an ISO 3166-1 alpha-2 code or country name, ignoring countryCode`,
+        })
+      }
+    }
+
+    const hasUserInfo =
+      countryCode !== undefined ||
+      ['title', 'companyName'].some(
+        (field) => record[field] && record[field].trim() !== ''
+      )
+
+    if (!hasUserInfo) {
+      return { valid: true, includeUserInfo: false, warnings }
+    }
+
+    const hasFirstName = record.firstName && record.firstName.trim() !== ''
+    const hasLastName = record.lastName && record.lastName.trim() !== ''
+
+    if (hasFirstName && hasLastName) {
+      return { valid: true, includeUserInfo: true, countryCode, warnings }
+    }
+
+    // User info present but missing required firstName/lastName
+    const missingFields = []
+    if (!hasFirstName) missingFields.push('firstName')
+    if (!hasLastName) missingFields.push('lastName')
+
+    warnings.push({
+      code: 'USER_INFO_MISSING_NAME',
+      message: `User information detected but missing required fields (${missingFields.join(
+        ', '
+      )}). Excluding all user information fields (firstName, lastName, title, companyName, countryCode) from this record.`,
+    })
+    return { valid: true, includeUserInfo: false, warnings }
+  }
+
+  // Validate event data before sending
+  // Errors and warnings are { code, message } issues sorted by the validation
+  // policy; records with errors are skipped and quarantined
+  validateEventData(record, index) {
+    const issues = []
+
+    // 1. Must have a valid email (assuming data source is CRM)
+    if (!record.email || record.email.trim() === '') {
+      issues.push({
+        code: 'MISSING_EMAIL',
+        message: 'Missing required email field',
+      })
+    } else {
+      const emailProblem = validateEmail(record.email)
+      if (emailProblem) {
+        issues.push({ code: 'INVALID_EMAIL', message: emailProblem })
+      }
+    }
+
+    // 2. Validate user information
+    const userInfoValidation = this.validateUserInfo(record)
+    issues.push(...userInfoValidation.warnings)
+
+    // 3. Check conversion time if using CSV timestamps: it must have been
+    // parsed, and be within 90 days once old ones have been rewritten
+    if (this.useConversionTime && record.conversionTime) {
+      const csvTimestamp = parseInt(record.conversionTime)
+      if (!/^\d+$/.test(record.conversionTime)) {
+        issues.push({
+          code: 'INVALID_TIMESTAMP',
+          message: `ConversionTime "${record.conversionTime}" is not a recognised date`,
+        })
+      } else if (!this.isValidConversionTime(csvTimestamp)) {
+        const daysAgo = Math.floor(
+          (Date.now() - csvTimestamp) / (1000 * 60 * 60 * 24)
+        )
+        const hoursAhead = (csvTimestamp - Date.now()) / (1000 * 60 * 60)
+        issues.push(
+          csvTimestamp > Date.now()
+            ? {
+                code: 'TIMESTAMP_IN_FUTURE',
+                message: `ConversionTime is ${hoursAhead.toFixed(
+                  1
+                )} hours in the future (${
+                  hoursAhead > this.futureToleranceHours
+                    ? `beyond the ${this.futureToleranceHours}-hour tolerance`
+                    : 'future-dated events are skipped'
+                })`,
+              }
+            : {
+                code: 'TIMESTAMP_TOO_OLD',
+                message: `ConversionTime is ${daysAgo} days old (beyond ${this.windowLimit()})`,
+              }
+        )
+      }
+    }
+
+    // 4. Validate currency data
+    const currencyValidation = this.validateCurrencyData(record)
+    if (currencyValidation.warning) {
+      issues.push({
+        code: currencyValidation.code,
+        message: currencyValidation.warning,
+      })
+    }
+
+    // Sort the issues into errors and warnings by the validation policy
+    const { errors, warnings } = applyPolicy(this.policy, issues)
+
+    // Show warnings but don't fail validation
+    if (warnings.length > 0 && this.logValidation) {
+      console.log(
+        `⚠️  Record ${index + 1} (${
+          record.email || 'no email'
+        }) warnings: ${warnings.map((warning) => warning.message).join(', ')}`
+      )
+    }
+
+    if (errors.length > 0) {
+      if (this.logValidation) {
+        console.log(
+          `⚠️  Skipping record ${index + 1} (${
+            record.email || 'no email'
+          }): ${errors.map((error) => error.message).join(', ')}`
+        )
+      }
+      return { valid: false, errors, warnings }
+    }
+
+    return {
+      valid: true,
+      includeUserInfo: userInfoValidation.includeUserInfo,
+      warnings,
+    }
+  }
+
+  // Whether the interrupted run being resumed handled a record already
+  isHandled(record) {
+    if (!this.resumeFrom) {
+      return false
+    }
+    return (
+      this.resumeFrom.nextRow === null ||
+      isBefore(this.inputFiles, record, this.resumeFrom.nextRow)
+    )
+  }
+
+  // Show how many events were future-dated and what happened to them
+  displayFutureDated() {
+    if (!this.futureDated || this.futureDated.total === 0) {
+      return
+    }
+    formatFutureDated(this.futureDated).forEach((line) => console.log(line))
+  }
+
+  // Show how many conversion times were rewritten, with examples
+  displayRewrites() {
+    if (!this.rewrites) {
+      return
+    }
+    const { future, old, stillOld } = this.rewrites
+    const rewritten = [
+      [
+        future,
+        `future-dated conversion times (${this.futureTimestampStrategy})`,
+      ],
+      [old, `conversion times (${this.oldTimestampStrategy})`],
+    ]
+    rewritten.forEach(([{ count, examples }, description]) => {
+      if (count === 0) {
+        return
+      }
+      console.log(`🔄 Rewrote ${count} ${description}, e.g.:`)
+      examples.forEach((rewrite) => {
+        console.log(
+          `   • ${rewrite.row}: ${rewrite.original} → ${rewrite.rewritten}`
+        )
+      })
+    })
+    if (!this.dryRun && future.count + old.count > 0) {
+      console.log(
+        '📝 Original and rewritten values logged to timestamp-rewrites.log'
+      )
+    }
+    if (stillOld > 0) {
+      console.log(
+        `⚠️  ${stillOld} conversion times are still older than 90 days and are skipped${
+          this.oldTimestampStrategy === 'shift'
+            ? ' (the events span more than the window; compress fits them all)'
+            : ''
+        }`
+      )
+    }
+  }
+
+  // Show sent, failed and quarantined counts per input file
+  displayFileBreakdown() {
+    if (this.inputFiles.length < 2) {
+      return
+    }
+
+    console.log(`\n📂 Per-file breakdown (${this.inputFiles.length} files):`)
+    this.inputFiles.forEach((file) => {
+      console.log(
+        `  ${file.name}: ${file.recordCount} records | Sent: ${
+          file.sent
+        } | Failed: ${file.failed} | Duplicates: ${
+          file.duplicates
+        } | Quarantined rows: ${file.quarantine ? file.quarantine.rowCount : 0}`
+      )
+    })
+  }
+
+  // Write log entry to file
+  async writeLogToFile(filename, logEntry) {
+    try {
+      const logLine = JSON.stringify(logEntry, null, 2) + '\n' + '---\n'
+      await fs.promises.appendFile(filename, logLine)
+    } catch (err) {
+      console.log(`⚠️  Failed to write to log file ${filename}: ${err.message}`)
+    }
+  }
+
+  // Run every validation rule over all records without sending anything,
+  // then print and save the report. Rejected records are only counted: in a
+  // dry run the quarantine writers write nothing
+  async validateAllRecords() {
+    const report = new ValidationReport(this.name, {
+      useConversionTime: this.useConversionTime,
+      oldTimestamps: this.oldTimestampStrategy,
+      timestampMarginHours: this.timestampMarginHours,
+      futureTimestamps: this.futureTimestampStrategy,
+      futureToleranceHours: this.futureToleranceHours,
+      futureOffsetHours: this.futureOffsetHours,
+      assumed: this.assumedStrategies,
+      dedupKey: formatDedupKey(this.deduplicator.components),
+      timezone: this.timestampParser.timezone,
+      policy: this.policy,
+    })
+
+    this.logValidation = false
+    let index = 0
+    for await (const record of this.recordsToSend()) {
+      const validation = this.validateEventData(record, index++)
+      if (!validation.valid) {
+        record[SOURCE_FILE].quarantine.addRecord(
+          record,
+          record[SOURCE_LINE],
+          validation.errors
+        )
+      }
+      report.addRecord(
+        record,
+        validation,
+        this.validateCurrencyData(record),
+        record[ORIGINAL_TIME]
+      )
+    }
+    report.setFutureDated(this.futureDated)
+    report.setDuplicates(this.duplicates)
+    this.logValidation = true
+    this.displayRewrites()
+
+    const result = report.toJSON(this.inputFiles)
+    report.print(result)
+    const filepath = this.reportPath || reportPathFor(this.inputFiles[0].path)
+    console.log(
+      `\n💾 Validation report saved to ${report.save(result, filepath)}`
+    )
+  }
+
+  // Record the validation policy of this run in the log for audit
+  async logValidationPolicy(mode) {
+    await this.writeLogToFile('validation-policy.log', {
+      timestamp: new Date().toISOString(),
+      mode,
+      inputFiles: this.inputFiles.map((file) => file.name),
+      policy: this.policy,
+    })
+  }
+
+  // Close the quarantine files and show why rows were rejected
+  closeQuarantine() {
+    let quarantinedFiles = 0
+    this.inputFiles.forEach(({ quarantine }) => {
+      const quarantinePath = quarantine && quarantine.close()
+      if (!quarantinePath) {
+        return
+      }
+
+      quarantinedFiles++
+      console.log(
+        `\n🧯 Quarantined ${quarantine.rowCount} rejected rows: ${quarantinePath}`
+      )
+      Object.entries(quarantine.reasonCounts).forEach(([code, count]) => {
+        console.log(
+          `   • ${code}: ${count} rows - ${reasonCodes[code] || code}`
+        )
+      })
+    })
+
+    if (quarantinedFiles > 0) {
+      console.log(
+        '   Fix the rows and send the quarantine file again; its quarantine_* columns are ignored'
+      )
+    }
+  }
+
+  // Utility function to sleep
+  sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms))
+  }
+
+  // Validate mode: parse and check the input without any network access
+  async runValidation() {
+    console.log('🔍 Validation mode - nothing will be sent')
+    this.selectInputFiles()
+    await this.parseInputFiles()
+    this.getConversionTimeConfigurationIfAvailable()
+    await this.planRecords({ checkLedger: false })
+    await this.validateAllRecords()
+    console.log('\n🎉 Validation completed!')
+  }
+}
+
+module.exports = { senderCliOptions, EventSender }
@@ -0,0 +1,156 @@
+// User-defined field schema for the data generator
+//
+// Extra columns (lead source, opportunity ID, li_fat_id, ...) are declared in
+// a JSON file instead of being added to the source:
+//
+//   {
+//     "fields": [
+//       { "name": "leadSource", "description": "Lead source",
+//         "values": ["Web", "Event", "Partner"] },
+//       { "name": "opportunityId", "faker": "string.alphanumeric",
+//         "args": [18] },
+//       { "name": "source", "value": "historical-backfill", "mandatory": true }
+//     ]
+//   }
+//
+// Each field uses exactly one of "faker" (a faker method path, called with
+// "args"), "value" (a fixed value) or "values" (picked at random per row).
+
+const fs = require('fs')
+const { faker } = require('@faker-js/faker')
+
+// Field names must be usable as CSV headers and JSON keys without quoting
+const FIELD_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/
+
+// Function to look up a faker method by path, e.g. "string.uuid"
+function resolveFakerMethod(methodPath) {
+  const parts = methodPath.split('.')
+  const methodName = parts.pop()
+  const module =
+    parts.length === 0
+      ? undefined
+      : parts.reduce(
+          (target, part) =>
+            target && Object.prototype.hasOwnProperty.call(target, part)
+              ? target[part]
+              : undefined,
+          faker
+        )
+  if (
+    !module ||
+    typeof module[methodName] !== 'function' ||
+    methodName === 'constructor'
+  ) {
+    throw new Error(`Unknown faker method "${methodPath}"`)
+  }
+  return (...args) => module[methodName](...args)
+}
+
+// Function to turn a generated value into something CSV and JSON can hold
+function toFieldValue(value) {
+  if (value instanceof Date) {
+    return value.toISOString()
+  }
+  if (value === null || value === undefined) {
+    return ''
+  }
+  if (typeof value === 'object') {
+    return JSON.stringify(value)
+  }
+  return value
+}
+
+// Function to build the value generator for one schema field
+function createGenerator(field) {
+  const sources = ['faker', 'value', 'values'].filter(
+    (key) => field[key] !== undefined
+  )
+  if (sources.length !== 1) {
+    throw new Error(
+      `Field "${field.name}" needs exactly one of "faker", "value" or "values"`
+    )
+  }
+
+  if (field.faker !== undefined) {
+    if (typeof field.faker !== 'string') {
+      throw new Error(`Field "${field.name}": "faker" must be a method path`)
+    }
+    const args = field.args !== undefined ? field.args : []
+    if (!Array.isArray(args)) {
+      throw new Error(`Field "${field.name}": "args" must be an array`)
+    }
+    const method = resolveFakerMethod(field.faker)
+    return () => toFieldValue(method(...args))
+  }
+
+  if (field.value !== undefined) {
+    const value = toFieldValue(field.value)
+    return () => value
+  }
+
+  if (!Array.isArray(field.values) || field.values.length === 0) {
+    throw new Error(`Field "${field.name}": "values" must be a non-empty array`)
+  }
+  const values = field.values.map(toFieldValue)
+  return () => faker.helpers.arrayElement(values)
+}
+
+// Function to load and validate a schema file
+// reservedNames: field names that already exist and cannot be redefined
+// Returns [{ name, description, mandatory, generate }]
+function loadFieldSchema(filepath, reservedNames = []) {
+  let schema
+  try {
+    schema = JSON.parse(fs.readFileSync(filepath, 'utf8'))
+  } catch (error) {
+    throw new Error(`Cannot read field schema ${filepath}: ${error.message}`)
+  }
+
+  const fields = Array.isArray(schema) ? schema : schema && schema.fields
+  if (!Array.isArray(fields)) {
+    throw new Error(
+      `Field schema ${filepath} must contain a "fields" array (or be an array)`
+    )
+  }
+
+  const seenNames = new Set()
+  return fields.map((field, index) => {
+    if (!field || typeof field !== 'object') {
+      throw new Error(`Field schema entry ${index + 1} must be an object`)
+    }
+    if (
+      typeof field.name !== 'string' ||
+      !FIELD_NAME_PATTERN.test(field.name)
+    ) {
+      throw new Error(
+        `Field schema entry ${
+          index + 1
+        } needs a "name" made of letters, digits and underscores`
+      )
+    }
+    if (reservedNames.includes(field.name)) {
+      throw new Error(`Field "${field.name}" is a built-in field`)
+    }
+    if (seenNames.has(field.name)) {
+      throw new Error(`Field "${field.name}" is defined more than once`)
+    }
+    seenNames.add(field.name)
+
+    // Check a sample value now so a bad faker call fails before generation
+    const generate = createGenerator(field)
+    try {
+      generate()
+    } catch (error) {
+      throw new Error(`Field "${field.name}": ${error.message}`)
+    }
+
+    return {
+      name: field.name,
+      description: field.description || field.name,
+      mandatory: field.mandatory === true,
+      generate,
+    }
+  })
+}
+
+module.exports = { loadFieldSchema }
@@ -0,0 +1,299 @@
+// Header mapping for sender input files
+//
+// Renames export headers (e.g. SFDC "ContactEmail__c", HubSpot "First Name")
+// to the field names the senders read (email, firstName, ...), so exports no
+// longer have to be edited by hand. Mappings come from a built-in profile, a
+// custom JSON file, or auto-detection; headers that match no mapping get fuzzy
+// suggestions.
+
+const fs = require('fs')
+
+// Field names the senders read
+const senderFields = [
+  'email',
+  'firstName',
+  'lastName',
+  'title',
+  'companyName',
+  'countryCode',
+  'currencyCode',
+  'conversionValue',
+  'conversionTime',
+]
+
+// Built-in profiles: sender field -> export headers it may appear as
+const mappingProfiles = {
+  'sfdc-lead': {
+    description: 'SFDC Workbench Lead export (README SOQL query)',
+    columns: {
+      email: ['Email'],
+      firstName: ['FirstName'],
+      lastName: ['LastName'],
+      title: ['Title'],
+      companyName: ['Company'],
+      countryCode: ['CountryCode__c', 'CountryCode'],
+      conversionTime: ['LastModifiedDate'],
+    },
+  },
+  'sfdc-opportunity': {
+    description: 'SFDC Workbench Opportunity export (README SOQL query)',
+    columns: {
+      email: ['ContactEmail__c'],
+      firstName: ['ContactFirstName__c'],
+      lastName: ['ContactLastName__c'],
+      title: ['ContactTitle__c'],
+      companyName: ['ContactAccountName__c'],
+      countryCode: ['ContactCountryCode__c'],
+      currencyCode: ['CurrencyIsoCode'],
+      conversionValue: ['Amount'],
+      conversionTime: ['LastModifiedDate'],
+    },
+  },
+  hubspot: {
+    description: 'HubSpot contact or deal export',
+    columns: {
+      email: ['Email', 'Associated Contact Email'],
+      firstName: ['First Name'],
+      lastName: ['Last Name'],
+      title: ['Job Title'],
+      companyName: ['Company Name', 'Associated Company'],
+      countryCode: ['Country/Region Code', 'Country/Region', 'Country'],
+      currencyCode: ['Currency', 'Deal Currency Code'],
+      conversionValue: ['Amount', 'Amount in company currency'],
+      conversionTime: ['Close Date', 'Create Date', 'Last Modified Date'],
+    },
+  },
+  marketo: {
+    description: 'Marketo person or opportunity export',
+    columns: {
+      email: ['Email Address', 'Email'],
+      firstName: ['First Name'],
+      lastName: ['Last Name'],
+      title: ['Job Title'],
+      companyName: ['Company Name', 'Company'],
+      countryCode: ['Country'],
+      currencyCode: ['Currency', 'Currency Code'],
+      conversionValue: ['Amount', 'Opportunity Amount'],
+      conversionTime: ['Close Date', 'Created At', 'Updated At'],
+    },
+  },
+}
+
+// Minimum similarity (0-1) for a fuzzy suggestion
+const SUGGESTION_THRESHOLD = 0.6
+
+// Extra spellings used only for fuzzy suggestions
+const fieldSynonyms = {
+  email: ['emailaddress', 'mail', 'workemail', 'businessemail'],
+  firstName: ['givenname', 'forename', 'first'],
+  lastName: ['surname', 'familyname', 'last'],
+  title: ['jobtitle', 'position', 'role'],
+  companyName: ['company', 'account', 'accountname', 'organization'],
+  countryCode: ['country', 'countryiso', 'countryregion'],
+  currencyCode: ['currency', 'currencyiso', 'currencyisocode'],
+  conversionValue: ['amount', 'value', 'revenue', 'dealamount'],
+  conversionTime: [
+    'timestamp',
+    'date',
+    'closedate',
+    'createddate',
+    'lastmodifieddate',
+    'eventtime',
+  ],
+}
+
+// Function to compare headers ignoring case, spacing and punctuation
+function normalizeHeader(header) {
+  return header.toLowerCase().replace(/[^a-z0-9]/g, '')
+}
+
+// Function to look up a built-in profile by name
+function getMappingProfile(name) {
+  const profile = mappingProfiles[name]
+  if (!profile) {
+    throw new Error(
+      `Unknown mapping profile "${name}". Available profiles: ${Object.keys(
+        mappingProfiles
+      ).join(', ')} (or a path to a JSON mapping file)`
+    )
+  }
+  return profile
+}
+
+// Function to turn a profile into an export header -> sender field map
+function profileToMapping(profile) {
+  const mapping = {}
+  Object.entries(profile.columns).forEach(([field, headers]) => {
+    headers.forEach((header) => {
+      mapping[header] = field
+    })
+  })
+  return mapping
+}
+
+// Function to load a custom mapping file: { "Export Header": "senderField" }
+function loadMappingFile(filepath) {
+  let mapping
+  try {
+    mapping = JSON.parse(fs.readFileSync(filepath, 'utf8'))
+  } catch (error) {
+    throw new Error(`Cannot read mapping file ${filepath}: ${error.message}`)
+  }
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    throw new Error(
+      `Mapping file ${filepath} must be a JSON object of "Export Header": "senderField" pairs`
+    )
+  }
+  Object.entries(mapping).forEach(([header, field]) => {
+    if (typeof field !== 'string' || field.trim() === '') {
+      throw new Error(
+        `Mapping file ${filepath}: "${header}" must map to a field name`
+      )
+    }
+  })
+  return mapping
+}
+
+// Function to resolve --mapping to a header map: a profile name or a file path
+function resolveMapping(nameOrPath) {
+  if (
+    !mappingProfiles[nameOrPath] &&
+    (nameOrPath.toLowerCase().endsWith('.json') || fs.existsSync(nameOrPath))
+  ) {
+    return loadMappingFile(nameOrPath)
+  }
+  return profileToMapping(getMappingProfile(nameOrPath))
+}
+
+// Function to find the built-in profile that renames the most headers
+// Returns { name, matched } or null when fewer than two headers match
+function detectMappingProfile(headers) {
+  const normalized = new Set(headers.map(normalizeHeader))
+  let best = null
+
+  Object.entries(mappingProfiles).forEach(([name, profile]) => {
+    // Headers that already are sender fields need no profile
+    const matched = Object.entries(profileToMapping(profile)).filter(
+      ([header, field]) =>
+        normalized.has(normalizeHeader(header)) && !headers.includes(field)
+    ).length
+    if (matched >= 2 && (!best || matched > best.matched)) {
+      best = { name, matched }
+    }
+  })
+
+  return best
+}
+
+// Function to rename headers using a mapping
+// Matching ignores case, spacing and punctuation; headers without a mapping
+// keep their name. When several columns map to one field, the first mapping
+// entry wins (for profiles: the first listed header) and the other columns
+// keep their name. Returns { headers, renamed, skipped } where renamed and
+// skipped are [{ from, to }]
+function applyHeaderMapping(headers, mapping) {
+  const normalizedHeaders = headers.map(normalizeHeader)
+  const mapped = [...headers]
+  const renamed = []
+  const skipped = []
+
+  Object.entries(mapping).forEach(([source, field]) => {
+    const index = normalizedHeaders.indexOf(normalizeHeader(source))
+    if (index === -1 || mapped[index] !== headers[index]) {
+      return // Column not in the file, or already renamed
+    }
+    if (headers[index] === field) {
+      return
+    }
+    if (mapped.includes(field)) {
+      skipped.push({ from: headers[index], to: field })
+      return
+    }
+    mapped[index] = field
+    renamed.push({ from: headers[index], to: field })
+  })
+
+  return { headers: mapped, renamed, skipped }
+}
+
+// Function to measure edit distance between two strings
+function levenshtein(a, b) {
+  const previous = Array.from({ length: b.length + 1 }, (_, i) => i)
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0]
+    previous[0] = i
+    for (let j = 1; j <= b.length; j++) {
+      const above = previous[j]
+      previous[j] = Math.min(
+        previous[j] + 1,
+        previous[j - 1] + 1,
+        diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+      )
+      diagonal = above
+    }
+  }
+  return previous[b.length]
+}
+
+// Function to score how alike two normalized headers are (0-1)
+function similarity(a, b) {
+  if (a === b) {
+    return 1
+  }
+  const longest = Math.max(a.length, b.length)
+  return longest === 0 ? 0 : 1 - levenshtein(a, b) / longest
+}
+
+// Function to suggest sender fields for headers that are not sender fields
+// Only fields that no column provides yet are suggested.
+// Returns [{ header, field, score }]
+function suggestHeaderMappings(headers) {
+  const missingFields = senderFields.filter((field) => !headers.includes(field))
+  const suggestions = []
+
+  headers.forEach((header) => {
+    if (senderFields.includes(header)) {
+      return
+    }
+    // SFDC custom fields and prefixes: ContactEmail__c -> email
+    const candidate = normalizeHeader(
+      header.replace(/__c$/i, '').replace(/^(contact|lead|person)_?/i, '')
+    )
+
+    let best = null
+    missingFields.forEach((field) => {
+      const spellings = [normalizeHeader(field), ...fieldSynonyms[field]]
+      const score = Math.max(
+        ...spellings.map((spelling) => similarity(candidate, spelling))
+      )
+      if (score >= SUGGESTION_THRESHOLD && (!best || score > best.score)) {
+        best = { header, field, score }
+      }
+    })
+    if (best) {
+      suggestions.push(best)
+    }
+  })
+
+  // Keep only the best-scoring header for each field (first one on a tie)
+  const bestByField = {}
+  suggestions.forEach((suggestion) => {
+    const current = bestByField[suggestion.field]
+    if (!current || suggestion.score > current.score) {
+      bestByField[suggestion.field] = suggestion
+    }
+  })
+  return suggestions.filter(
+    (suggestion) => bestByField[suggestion.field] === suggestion
+  )
+}
+
+module.exports = {
+  senderFields,
+  mappingProfiles,
+  resolveMapping,
+  detectMappingProfile,
+  profileToMapping,
+  applyHeaderMapping,
+  suggestHeaderMappings,
+}
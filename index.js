@@ -4,6 +4,173 @@ const { faker } = require('@faker-js/faker')
 const readline = require('readline-sync')
 const fs = require('fs')
 const path = require('path')
+const crypto = require('crypto')
+const { once } = require('events')
+const { parseArgs, formatHelp } = require('./cli-args')
+const {
+  generateRealisticRecord,
+  generateConversionValue,
+} = require('./realistic-profile')
+const {
+  timeDistributions,
+  timeFormats,
+  resolveTimeOptions,
+  generateConversionTime,
+} = require('./time-distributions')
+const {
+  DirtyDataInjector,
+  defectTypes,
+  parseDefectRates,
+} = require('./dirty-data')
+const {
+  workbenchPresets,
+  getWorkbenchPreset,
+  workbenchFields,
+  workbenchHeader,
+  workbenchRow,
+  blankWorkbenchValues,
+} = require('./workbench-presets')
+const {
+  CustomerPool,
+  conversionDistributions,
+  MAX_PEOPLE,
+} = require('./repeat-customers')
+const { loadFieldSchema } = require('./field-schema')
+const { normalizeEmail } = require('./email-normalizer')
+
+// Allowed range for the number of generated records
+const MIN_RECORD_COUNT = 1
+const MAX_RECORD_COUNT = 100000000
+
+// Generation profiles: "random" picks every column independently, "realistic"
+// generates correlated records (see realistic-profile.js)
+const generationProfiles = ['random', 'realistic']
+
+// Command-line options; any value not given is asked for interactively
+const cliOptions = {
+  fields: {
+    flag: '--fields',
+    type: 'list',
+    description: 'Comma-separated fields to include (email is always added)',
+  },
+  schema: {
+    flag: '--schema',
+    type: 'string',
+    description: 'JSON file declaring extra fields (see README)',
+  },
+  count: {
+    flag: '--count',
+    type: 'number',
+    description: `Number of records to generate (${MIN_RECORD_COUNT}-${MAX_RECORD_COUNT})`,
+  },
+  out: {
+    flag: '--out',
+    type: 'string',
+    description:
+      'Output file path (default: timestamped file in app directory)',
+  },
+  outDir: {
+    flag: '--out-dir',
+    type: 'string',
+    description: 'Directory for the output file (default: app directory)',
+  },
+  format: {
+    flag: '--format',
+    type: 'string',
+    description: 'Output format: csv, hashed-csv, json, ndjson (default: csv)',
+  },
+  seed: {
+    flag: '--seed',
+    type: 'number',
+    description: 'Seed for reproducible output (same seed, same file)',
+  },
+  now: {
+    flag: '--now',
+    type: 'string',
+    description:
+      'Reference "now" for conversionTime (ISO-8601 or epoch milliseconds)',
+  },
+  profile: {
+    flag: '--profile',
+    type: 'string',
+    description: `Generation profile: ${generationProfiles.join(
+      ' or '
+    )} (default: random)`,
+  },
+  timeFrom: {
+    flag: '--time-from',
+    type: 'string',
+    description:
+      'conversionTime range start: 180d (days ago), ISO-8601 or epoch ms (default: 90d)',
+  },
+  timeTo: {
+    flag: '--time-to',
+    type: 'string',
+    description: 'conversionTime range end, same forms (default: now)',
+  },
+  timeDistribution: {
+    flag: '--time-distribution',
+    type: 'string',
+    description: `conversionTime shape: ${timeDistributions.join(
+      ', '
+    )} (default: uniform)`,
+  },
+  spikeDates: {
+    flag: '--spike-dates',
+    type: 'list',
+    description: 'Comma-separated YYYY-MM-DD dates for the spikes shape',
+  },
+  halfLifeDays: {
+    flag: '--half-life',
+    type: 'number',
+    description: 'Half-life in days for the decay shape (default: 14)',
+  },
+  timeFormat: {
+    flag: '--time-format',
+    type: 'string',
+    description: `conversionTime output: ${timeFormats.join(
+      ' or '
+    )} (default: epoch)`,
+  },
+  dirty: {
+    flag: '--dirty',
+    type: 'list',
+    description: `Inject defects, e.g. missingEmail=5,oldTimestamp=2 (percent). Types: ${Object.keys(
+      defectTypes
+    ).join(', ')}`,
+  },
+  people: {
+    flag: '--people',
+    type: 'number',
+    description: `Draw rows from a pool of this many people (1-${MAX_PEOPLE}) so people convert repeatedly`,
+  },
+  conversionDistribution: {
+    flag: '--conversion-distribution',
+    type: 'string',
+    description: `How rows spread over the --people pool: ${conversionDistributions.join(
+      ' or '
+    )} (default: uniform)`,
+  },
+  workbench: {
+    flag: '--workbench',
+    type: 'string',
+    description: `Emulate an SFDC Workbench export: ${Object.keys(
+      workbenchPresets
+    ).join(' or ')} (sets the fields)`,
+  },
+  yes: {
+    flag: '--yes',
+    alias: '-y',
+    type: 'boolean',
+    description: 'Accept defaults instead of prompting (all fields)',
+  },
+  help: {
+    flag: '--help',
+    alias: '-h',
+    type: 'boolean',
+    description: 'Show this help and exit',
+  },
+}
 
 // Available data fields
 const availableFields = {
@@ -37,7 +204,8 @@ const availableFields = {
   },
   conversionTime: {
     name: 'conversionTime',
-    description: 'Conversion time (epoch milliseconds, last 90 days)',
+    description:
+      'Conversion time (epoch milliseconds, last 90 days by default)',
     mandatory: false,
   },
 }
@@ -75,19 +243,103 @@ function selectFields() {
     .filter((index) => index >= 0 && index < fieldKeys.length)
     .map((index) => fieldKeys[index])
 
-  // Ensure email is always included
-  if (!selectedFields.includes('email')) {
-    selectedFields.unshift('email')
-    console.log(
-      'Note: Email field is mandatory and has been automatically included.'
+  // Ensure email and any other mandatory fields are always included
+  addMandatoryFields(selectedFields)
+
+  return selectedFields
+}
+
+// Function to add missing mandatory fields (email first, schema fields last)
+function addMandatoryFields(selectedFields) {
+  Object.values(availableFields)
+    .filter((field) => field.mandatory && !selectedFields.includes(field.name))
+    .forEach((field) => {
+      if (field.name === 'email') {
+        selectedFields.unshift('email')
+        console.log(
+          'Note: Email field is mandatory and has been automatically included.'
+        )
+      } else {
+        selectedFields.push(field.name)
+        console.log(
+          `Note: ${field.name} field is mandatory and has been automatically included.`
+        )
+      }
+    })
+  return selectedFields
+}
+
+// Function to add the fields declared in a schema file to availableFields
+// Returns the names of the added fields
+function registerFieldSchema(filepath) {
+  const fields = loadFieldSchema(filepath, Object.keys(availableFields))
+  fields.forEach((field) => {
+    availableFields[field.name] = field
+  })
+  return fields.map((field) => field.name)
+}
+
+// Function to validate field names given on the command line
+function resolveFields(fieldNames) {
+  const unknownFields = fieldNames.filter((name) => !availableFields[name])
+  if (unknownFields.length > 0) {
+    throw new Error(
+      `Unknown field(s): ${unknownFields.join(
+        ', '
+      )}. Available fields: ${Object.keys(availableFields).join(', ')}`
     )
   }
 
+  // Drop duplicates while keeping the given order
+  const selectedFields = [...new Set(fieldNames)]
+
+  // Ensure email and any other mandatory fields are always included
+  addMandatoryFields(selectedFields)
+
   return selectedFields
 }
 
+// Function to check a record count against the allowed range
+function isValidRecordCount(recordCount) {
+  return (
+    Number.isInteger(recordCount) &&
+    recordCount >= MIN_RECORD_COUNT &&
+    recordCount <= MAX_RECORD_COUNT
+  )
+}
+
+// Function to prompt for the number of records
+function promptRecordCount() {
+  while (true) {
+    const input = readline.question(
+      `How many records to generate? (${MIN_RECORD_COUNT}-${MAX_RECORD_COUNT}): `
+    )
+    const recordCount = Number(input)
+
+    if (!isValidRecordCount(recordCount)) {
+      console.log(
+        `❌ Please enter a valid number between ${MIN_RECORD_COUNT} and ${MAX_RECORD_COUNT}.`
+      )
+      continue
+    }
+    return recordCount
+  }
+}
+
+// Function to parse a reference "now" given as ISO-8601 or epoch milliseconds
+function parseReferenceNow(value) {
+  const epoch = /^\d+$/.test(value) ? Number(value) : Date.parse(value)
+  if (isNaN(epoch)) {
+    throw new Error(
+      `Invalid reference time "${value}" - use ISO-8601 (e.g., 2025-09-01T00:00:00Z) or epoch milliseconds`
+    )
+  }
+  return epoch
+}
+
 // Function to generate fake data based on field type
-function generateFieldData(fieldName) {
+// Options: now - reference epoch ms that conversionTime is relative to
+function generateFieldData(fieldName, options = {}) {
   switch (fieldName) {
     case 'email':
       return faker.internet.email()
@@ -106,40 +358,249 @@ function generateFieldData(fieldName) {
     case 'conversionValue':
       return faker.number.float({ min: 1, max: 1000, fractionDigits: 2 })
     case 'conversionTime':
+      // Use the configured range, distribution and format when given
+      if (options.time) {
+        return generateConversionTime(options.time)
+      }
+
       // Generate random epoch time in milliseconds within last 90 days
-      const now = Date.now()
+      const now = options.now !== undefined ? options.now : Date.now()
       const ninetyDaysAgo = now - 90 * 24 * 60 * 60 * 1000 // 90 days in milliseconds
       return faker.number.int({ min: ninetyDaysAgo, max: now })
-    default:
-      return ''
+    default: {
+      // Fields added from a schema file carry their own generator
+      const field = availableFields[fieldName]
+      return field && field.generate ? field.generate() : ''
+    }
+  }
+}
+
+// Function to prepare generation options shared by every row of one file
+// Options: seed - faker seed for reproducible output
+//          now  - reference epoch ms for conversionTime (defaults to Date.now())
+//          profile - 'random' (default) or 'realistic'
+//          timeFrom, timeTo, timeDistribution, spikeDates, halfLifeDays,
+//          timeFormat - conversionTime options, see resolveTimeOptions()
+//          dirty - DirtyDataInjector (or { defectType: percent }) to inject
+//                  defects; read the expected outcomes from getManifest()
+//          workbench - 'lead' or 'opportunity' to write an SFDC Workbench
+//                      export (selectedFields must match the preset)
+//          people - draw rows from a pool of this many people so the same
+//                   person converts several times (default: new person per row)
+//          conversionDistribution - how rows spread over the pool, one of
+//                                   conversionDistributions (default: uniform)
+//          pool - ready-made CustomerPool instead of people; read the repeat
+//                 statistics from getStats()
+function createGenerationOptions(selectedFields, options = {}) {
+  const profile = options.profile || 'random'
+  if (!generationProfiles.includes(profile)) {
+    throw new Error(
+      `Unknown profile "${profile}". Available profiles: ${generationProfiles.join(
+        ', '
+      )}`
+    )
+  }
+
+  // Seed faker so the same seed always produces the same rows; faker is
+  // shared by the whole process, so re-seed randomly otherwise or an earlier
+  // seeded call would make this one deterministic too
+  if (options.seed !== undefined) {
+    faker.seed(options.seed)
+  } else {
+    faker.seed()
+  }
+
+  // Fix "now" once so every conversionTime in the file shares one reference
+  const now = options.now !== undefined ? options.now : Date.now()
+
+  // Workbench exports always write LastModifiedDate as ISO-8601
+  const workbench = options.workbench
+    ? getWorkbenchPreset(options.workbench)
+    : undefined
+  const timeOptions = workbench ? { ...options, timeFormat: 'iso' } : options
+
+  // Accept plain defect rates as well as a ready-made injector
+  let dirty = options.dirty
+  if (dirty && !(dirty instanceof DirtyDataInjector)) {
+    dirty = new DirtyDataInjector(dirty)
+  }
+  if (dirty) {
+    dirty.start(selectedFields, now)
+  }
+
+  // Accept a pool size as well as a ready-made pool
+  let pool = options.pool
+  if (!pool && options.people !== undefined) {
+    pool = new CustomerPool(options.people, options.conversionDistribution)
+  }
+  if (pool) {
+    pool.start()
+  }
+
+  return {
+    now,
+    profile,
+    time: resolveTimeOptions(timeOptions, now),
+    dirty,
+    workbench,
+    pool,
+  }
+}
+
+// Function to format a single CSV value, escaping commas and quotes
+function formatCsvValue(value) {
+  if (
+    typeof value === 'string' &&
+    (value.includes(',') || value.includes('"'))
+  ) {
+    return `"${value.replace(/"/g, '""')}"`
+  }
+  return value
+}
+
+// Function to generate one record as a field -> value object
+function generateRecord(selectedFields, generationOptions) {
+  const profileRecord =
+    generationOptions.profile === 'realistic' ? generateRealisticRecord() : {}
+
+  const record = {}
+  selectedFields.forEach((field) => {
+    record[field] =
+      field in profileRecord
+        ? profileRecord[field]
+        : generateFieldData(field, generationOptions)
+  })
+
+  if (generationOptions.workbench) {
+    blankWorkbenchValues(generationOptions.workbench, record)
+  }
+  if (generationOptions.pool) {
+    const person = generationOptions.pool.assignPerson(
+      record,
+      profileRecord.currencyCode
+    )
+    // Keep a repeat conversion's value in the range of the person's currency
+    if (
+      person.isRepeat &&
+      person.currencyCode &&
+      record.conversionValue !== undefined &&
+      record.conversionValue !== ''
+    ) {
+      record.conversionValue = generateConversionValue(person.currencyCode)
+    }
+  }
+  if (generationOptions.dirty) {
+    generationOptions.dirty.inject(record)
+  }
+  return record
+}
+
+// Function to hash an email the same way LinkedInCAPISender.hashEmail() does
+function hashEmail(email) {
+  return crypto.createHash('sha256').update(normalizeEmail(email)).digest('hex')
+}
+
+// Function to format a plain CSV row from a record
+function formatCsvRow(record, fields) {
+  return fields.map((field) => formatCsvValue(record[field])).join(',')
+}
+
+// Function to indent every line of a pretty-printed JSON value
+function indentJson(value) {
+  return JSON.stringify(value, null, 2).replace(/^/gm, '  ')
+}
+
+// Output formats: a file is header + first + row + (separator + row)... + footer
+const outputFormats = {
+  csv: {
+    extension: 'csv',
+    description: 'CSV with a header row (default)',
+    header: (fields, generationOptions) =>
+      generationOptions.workbench
+        ? workbenchHeader(generationOptions.workbench)
+        : fields.join(','),
+    row: (record, fields, generationOptions) =>
+      generationOptions.workbench
+        ? workbenchRow(generationOptions.workbench, record)
+        : formatCsvRow(record, fields),
+    first: '\n',
+    separator: '\n',
+    footer: '',
+  },
+  'hashed-csv': {
+    extension: 'csv',
+    description: 'CSV with email replaced by its SHA-256 hash (sha256Email)',
+    header: (fields) =>
+      fields
+        .map((field) => (field === 'email' ? 'sha256Email' : field))
+        .join(','),
+    row: (record, fields) =>
+      formatCsvRow(
+        { ...record, email: record.email ? hashEmail(record.email) : '' },
+        fields
+      ),
+    first: '\n',
+    separator: '\n',
+    footer: '',
+  },
+  json: {
+    extension: 'json',
+    description: 'Pretty-printed JSON array of records',
+    header: () => '[',
+    row: (record) => indentJson(record),
+    first: '\n',
+    separator: ',\n',
+    footer: '\n]\n',
+  },
+  ndjson: {
+    extension: 'ndjson',
+    description: 'Newline-delimited JSON, one record per line',
+    header: () => '',
+    row: (record) => JSON.stringify(record),
+    first: '',
+    separator: '\n',
+    footer: '\n',
+  },
+}
+
+// Function to look up an output format by name
+function getOutputFormat(name = 'csv') {
+  const format = outputFormats[name]
+  if (!format) {
+    throw new Error(
+      `Unknown format "${name}". Available formats: ${Object.keys(
+        outputFormats
+      ).join(', ')}`
+    )
   }
+  return format
 }
 
-// Function to generate CSV content
-function generateCSV(selectedFields, recordCount) {
+// Function to generate one formatted data row (without separator)
+function generateFormattedRow(selectedFields, generationOptions, format) {
+  const record = generateRecord(selectedFields, generationOptions)
+  return format.row(record, selectedFields, generationOptions)
+}
+
+// Function to generate file content in memory
+// Options: see createGenerationOptions(), plus format - a key of outputFormats
+function generateCSV(selectedFields, recordCount, options = {}) {
   console.log(
     `\nGenerating ${recordCount} records with fields: ${selectedFields.join(
       ', '
     )}`
   )
 
+  const format = getOutputFormat(options.format)
+  const generationOptions = createGenerationOptions(selectedFields, options)
+
   // Create header row
-  const csvLines = [selectedFields.join(',')]
+  const parts = [format.header(selectedFields, generationOptions)]
 
   // Generate data rows
   for (let i = 0; i < recordCount; i++) {
-    const row = selectedFields.map((field) => {
-      const value = generateFieldData(field)
-      // Escape commas and quotes in CSV
-      if (
-        typeof value === 'string' &&
-        (value.includes(',') || value.includes('"'))
-      ) {
-        return `"${value.replace(/"/g, '""')}"`
-      }
-      return value
-    })
-    csvLines.push(row.join(','))
+    parts.push(i === 0 ? format.first : format.separator)
+    parts.push(generateFormattedRow(selectedFields, generationOptions, format))
 
     // Show progress for large datasets
     if (recordCount > 100 && (i + 1) % 100 === 0) {
@@ -147,63 +608,318 @@ function generateCSV(selectedFields, recordCount) {
     }
   }
 
-  return csvLines.join('\n')
+  parts.push(format.footer)
+  return parts.join('')
 }
 
-// Function to save CSV to file
-function saveCSV(csvContent) {
+// Function to stream generated records to a file
+// Rows are written as they are generated, waiting for the stream to drain
+// whenever its buffer is full, so memory use stays flat for any record count.
+// Produces the same bytes as generateCSV() for the same options.
+async function writeRecordsStream(
+  selectedFields,
+  recordCount,
+  filepath,
+  options = {}
+) {
+  console.log(
+    `\nGenerating ${recordCount} records with fields: ${selectedFields.join(
+      ', '
+    )}`
+  )
+
+  const format = getOutputFormat(options.format)
+  const generationOptions = createGenerationOptions(selectedFields, options)
+
+  fs.mkdirSync(path.dirname(filepath), { recursive: true })
+  const stream = fs.createWriteStream(filepath, { encoding: 'utf8' })
+
+  // Surface write errors (disk full, permissions) to the awaiting caller
+  let streamError = null
+  stream.on('error', (error) => {
+    streamError = error
+  })
+
+  const startTime = Date.now()
+  const progressInterval = Math.max(1, Math.floor(recordCount / 100))
+
+  // Create header row
+  stream.write(format.header(selectedFields, generationOptions))
+
+  // Generate data rows
+  for (let i = 0; i < recordCount; i++) {
+    if (streamError) throw streamError
+
+    const canContinue = stream.write(
+      (i === 0 ? format.first : format.separator) +
+        generateFormattedRow(selectedFields, generationOptions, format)
+    )
+    if (!canContinue) {
+      await once(stream, 'drain')
+    }
+
+    // Show progress for large datasets
+    if (
+      recordCount > 100 &&
+      ((i + 1) % progressInterval === 0 || i + 1 === recordCount)
+    ) {
+      displayGenerationProgress(
+        i + 1,
+        recordCount,
+        stream.bytesWritten,
+        startTime
+      )
+    }
+  }
+
+  await new Promise((resolve, reject) => {
+    stream.once('error', reject)
+    stream.end(format.footer, resolve)
+  })
+  if (streamError) throw streamError
+
+  if (recordCount > 100) {
+    process.stdout.write('\n')
+  }
+
+  return fs.statSync(filepath).size
+}
+
+// Function to display generation progress on a single line
+function displayGenerationProgress(
+  generated,
+  recordCount,
+  bytesWritten,
+  startTime
+) {
+  const progress = ((generated / recordCount) * 100).toFixed(1)
+  const elapsedSeconds = (Date.now() - startTime) / 1000
+  const rate = elapsedSeconds > 0 ? Math.round(generated / elapsedSeconds) : 0
+  const writtenMB = (bytesWritten / 1024 / 1024).toFixed(1)
+
+  process.stdout.write(
+    `\r🚀 Progress: ${progress}% | Generated: ${generated}/${recordCount} | Written: ${writtenMB} MB | Rate: ${rate} records/sec`
+  )
+}
+
+// Function to resolve the output file path
+// A relative outPath is resolved against outDir (default: current directory);
+// without outPath a timestamped file is created in outDir (default: app dir).
+function resolveOutputPath(outPath, outDir, prefix, extension) {
+  if (outPath) {
+    return path.resolve(outDir || '', outPath)
+  }
   const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5)
-  const filename = `fake-data-${timestamp}.csv`
-  const filepath = path.join(__dirname, filename)
+  return path.resolve(
+    outDir || __dirname,
+    `${prefix}-${timestamp}.${extension}`
+  )
+}
+
+// Function to save generated records to file
+// Options: see generateCSV(), plus outDir - directory for the output file
+async function saveRecords(selectedFields, recordCount, outPath, options = {}) {
+  const format = getOutputFormat(options.format)
+  let prefix = options.workbench
+    ? `fake-sfdc-${options.workbench}`
+    : 'fake-data'
+  if (options.format === 'hashed-csv') {
+    prefix += '-hashed'
+  }
+  const filepath = resolveOutputPath(
+    outPath,
+    options.outDir,
+    prefix,
+    format.extension
+  )
+  const filename = outPath ? outPath : path.basename(filepath)
 
   try {
-    fs.writeFileSync(filepath, csvContent, 'utf8')
-    console.log(`\n✅ CSV file saved successfully: ${filename}`)
+    const fileSize = await writeRecordsStream(
+      selectedFields,
+      recordCount,
+      filepath,
+      options
+    )
+    console.log(`\n✅ File saved successfully: ${filename}`)
     console.log(`📁 Full path: ${filepath}`)
-    console.log(`📊 File size: ${(csvContent.length / 1024).toFixed(2)} KB`)
+    console.log(`📊 File size: ${formatFileSize(fileSize)}`)
+
+    if (options.pool instanceof CustomerPool) {
+      displayPoolStats(options.pool.getStats(), recordCount)
+    }
+    if (options.dirty instanceof DirtyDataInjector) {
+      saveManifest(filepath, options.dirty.getManifest())
+    }
     return filename
   } catch (error) {
-    console.error('❌ Error saving CSV file:', error.message)
+    console.error('❌ Error saving file:', error.message)
     throw error
   }
 }
 
-// Main application function
-function main() {
-  console.log('🎭 Fake Data Generator')
-  console.log('======================')
-  console.log('This tool generates fake CSV data using various data fields.')
+// Function to display how rows were spread over the repeat-customer pool
+function displayPoolStats(stats, recordCount) {
+  console.log(
+    `👥 Repeat customers: ${recordCount} conversions from ${stats.convertedPeople} people (pool of ${stats.people}, ${stats.distribution})`
+  )
+  console.log(
+    `   ${stats.repeatPeople} people converted more than once, up to ${stats.maxConversions} times`
+  )
+}
 
+// Function to save the dirty-data manifest next to the generated file
+function saveManifest(filepath, manifest) {
+  const manifestPath = `${filepath.replace(/\.[^./\\]+$/, '')}.manifest.json`
+  fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2), 'utf8')
+
+  const { ok, warn, skip } = manifest.expectedCounts
+  console.log(`🧪 Dirty-data manifest saved: ${manifestPath}`)
+  console.log(`   Expected outcomes: ${ok} ok, ${warn} warned, ${skip} skipped`)
+  Object.entries(manifest.defectCounts).forEach(([type, count]) => {
+    console.log(`   • ${type}: ${count} rows`)
+  })
+}
+
+// Function to format a byte count for display
+function formatFileSize(bytes) {
+  if (bytes >= 1024 * 1024) {
+    return `${(bytes / 1024 / 1024).toFixed(2)} MB`
+  }
+  return `${(bytes / 1024).toFixed(2)} KB`
+}
+
+// Main application function
+async function main(argv = process.argv.slice(2)) {
   try {
+    const { options } = parseArgs(argv, cliOptions)
+    if (options.help) {
+      console.log(formatHelp('node index.js [options]', cliOptions))
+      return
+    }
+
+    // Check flag values up front so a bad flag fails before any prompt
+    const referenceNow =
+      options.now !== undefined ? parseReferenceNow(options.now) : undefined
+    if (options.profile && !generationProfiles.includes(options.profile)) {
+      throw new Error(
+        `--profile must be one of: ${generationProfiles.join(', ')}`
+      )
+    }
+    if (options.seed !== undefined && !Number.isInteger(options.seed)) {
+      throw new Error('--seed must be a whole number')
+    }
+    if (options.count !== undefined && !isValidRecordCount(options.count)) {
+      throw new Error(
+        `--count must be a whole number between ${MIN_RECORD_COUNT} and ${MAX_RECORD_COUNT}`
+      )
+    }
+    getOutputFormat(options.format)
+    if (options.schema) {
+      if (options.workbench) {
+        throw new Error(
+          '--schema cannot be combined with --workbench (the preset sets the fields)'
+        )
+      }
+      const customFields = registerFieldSchema(options.schema)
+      console.log(
+        `Loaded ${customFields.length} field(s) from ${
+          options.schema
+        }: ${customFields.join(', ')}`
+      )
+    }
+    if (options.workbench) {
+      getWorkbenchPreset(options.workbench)
+      if (options.format && options.format !== 'csv') {
+        throw new Error('--workbench only supports the csv format')
+      }
+      if (options.fields) {
+        throw new Error(
+          '--fields cannot be combined with --workbench (the preset sets the fields)'
+        )
+      }
+    }
+    const cliFields = options.workbench
+      ? workbenchFields(workbenchPresets[options.workbench])
+      : options.fields
+      ? resolveFields(options.fields)
+      : null
+    const timeOptions = {
+      timeFrom: options.timeFrom,
+      timeTo: options.timeTo,
+      timeDistribution: options.timeDistribution,
+      spikeDates: options.spikeDates,
+      halfLifeDays: options.halfLifeDays,
+      timeFormat: options.timeFormat,
+    }
+    resolveTimeOptions(
+      timeOptions,
+      referenceNow !== undefined ? referenceNow : Date.now()
+    )
+    const dirty = options.dirty
+      ? new DirtyDataInjector(parseDefectRates(options.dirty))
+      : undefined
+    if (dirty) {
+      // Check defect names and rates now; field requirements are rechecked
+      // once the fields are known
+      dirty.start(cliFields || Object.keys(availableFields), referenceNow)
+    }
+    if (options.conversionDistribution && options.people === undefined) {
+      throw new Error('--conversion-distribution needs --people')
+    }
+    const pool =
+      options.people !== undefined
+        ? new CustomerPool(options.people, options.conversionDistribution)
+        : undefined
+
+    console.log('🎭 Fake Data Generator')
+    console.log('======================')
+    console.log('This tool generates fake CSV data using various data fields.')
+
     // Step 1: Select fields
-    const selectedFields = selectFields()
+    let selectedFields
+    if (cliFields) {
+      selectedFields = cliFields
+    } else if (options.yes) {
+      selectedFields = Object.keys(availableFields)
+    } else {
+      selectedFields = selectFields()
+    }
     console.log(`\nSelected fields: ${selectedFields.join(', ')}`)
 
     // Step 2: Get number of records
     console.log('\n=== Record Count ===')
     let recordCount
-    while (true) {
-      const input = readline.question(
-        'How many records to generate? (1-1000000): '
-      )
-      recordCount = parseInt(input)
-
-      if (isNaN(recordCount) || recordCount < 1 || recordCount > 1000000) {
-        console.log('❌ Please enter a valid number between 1 and 1000000.')
-        continue
-      }
-      break
+    if (options.count !== undefined) {
+      recordCount = options.count
+      console.log(`Record count: ${recordCount}`)
+    } else {
+      recordCount = promptRecordCount()
     }
 
-    // Step 3: Generate CSV
-    const csvContent = generateCSV(selectedFields, recordCount)
-
-    // Step 4: Save to file
-    const filename = saveCSV(csvContent)
+    // Step 3: Generate records and stream them to file
+    const filename = await saveRecords(
+      selectedFields,
+      recordCount,
+      options.out,
+      {
+        format: options.format,
+        outDir: options.outDir,
+        seed: options.seed,
+        now: referenceNow,
+        profile: options.profile,
+        ...timeOptions,
+        dirty,
+        workbench: options.workbench,
+        pool,
+      }
+    )
 
     console.log('\n🎉 Generation completed successfully!')
     console.log(`\nTo view the generated data, you can:`)
-    console.log(`- Open ${filename} in Excel or any spreadsheet application`)
+    if (getOutputFormat(options.format).extension === 'csv') {
+      console.log(`- Open ${filename} in Excel or any spreadsheet application`)
+    }
     console.log(
       `- Use 'head -10 ${filename}' to preview first 10 lines in terminal`
     )
@@ -219,4 +935,14 @@ if (require.main === module) {
   main()
 }
 
-module.exports = { generateFieldData, generateCSV, availableFields }
+module.exports = {
+  generateFieldData,
+  generateCSV,
+  generateRecord,
+  writeRecordsStream,
+  availableFields,
+  registerFieldSchema,
+  outputFormats,
+  DirtyDataInjector,
+  CustomerPool,
+}
@@ -0,0 +1,478 @@
+// Input file reader shared by the senders
+//
+// Turns every supported input format into the same stream of rows the CSV
+// parser produces - a header row followed by data rows, each with the line
+// number it starts on - so the senders build identical records whatever the
+// source:
+//   - delimited text (.csv, .tsv, .txt): comma, semicolon, tab or pipe
+//     separated, with the delimiter detected from the header row
+//   - NDJSON (.ndjson, .jsonl): one JSON object per line
+//   - JSON (.json): an array of objects, split one object at a time
+//   - any of the above compressed with gzip (.csv.gz, .ndjson.gz, ...)
+// JSON headers come from the keys of the first object; later objects with
+// extra keys produce longer rows, which the senders treat as column count
+// mismatches.
+//
+// It also resolves the senders' --input arguments: file paths, directories
+// (every supported file directly inside) and glob patterns (*, ? and **).
+
+const fs = require('fs')
+const path = require('path')
+const zlib = require('zlib')
+const { pipeline } = require('stream')
+const { CsvParser } = require('./csv-parser')
+const { isQuarantineFile } = require('./quarantine')
+
+// File extensions the senders accept (each may also end in .gz)
+const inputExtensions = ['.csv', '.tsv', '.txt', '.json', '.ndjson', '.jsonl']
+
+// Files in the app directory that are never sender input
+const ignoredInputFiles = [
+  /^package(-lock)?\.json$/,
+  /\.manifest\.json$/, // Generator dirty-data manifests
+  /^successful-events-.*\.json$/, // LinkedIn sender output
+  /^validation-report-.*\.json$/, // --validate reports
+  /-checkpoint\.json(\.tmp)?$/, // Sender checkpoints, see checkpoint.js
+]
+
+// Directories never searched by ** glob patterns
+const ignoredDirectories = ['node_modules', '.git']
+
+// Property holding the input file entry a record came from; a Symbol so it
+// never shows up in Object.keys(), JSON payloads or CSV output
+const SOURCE_FILE = Symbol('sourceFile')
+
+// Delimiters tried by auto-detection, in order of preference on a tie
+const candidateDelimiters = [',', ';', '\t', '|']
+
+// Readable names for log messages
+const delimiterNames = {
+  ',': 'comma',
+  ';': 'semicolon',
+  '\t': 'tab',
+  '|': 'pipe',
+}
+
+// Function to strip a .gz suffix, returning { name, gzipped }
+function splitGzipSuffix(filename) {
+  const gzipped = filename.toLowerCase().endsWith('.gz')
+  return { name: gzipped ? filename.slice(0, -3) : filename, gzipped }
+}
+
+// Function to check whether a file name has a supported input extension
+function isSupportedInputFile(filename) {
+  const { name } = splitGzipSuffix(filename)
+  return (
+    inputExtensions.includes(path.extname(name).toLowerCase()) &&
+    !ignoredInputFiles.some((pattern) => pattern.test(path.basename(name)))
+  )
+}
+
+// Function to check whether a directory or glob match should be read
+// Quarantine files from earlier runs are only read when named explicitly
+function isExpandedInputFile(filename) {
+  return isSupportedInputFile(filename) && !isQuarantineFile(filename)
+}
+
+// Function to check whether an --input argument is a glob pattern
+function hasGlobPattern(spec) {
+  return /[*?]/.test(spec)
+}
+
+// Function to turn a glob pattern into a regular expression
+// * and ? match within one path segment; ** matches any number of directories
+function globToRegExp(pattern) {
+  let source = ''
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i]
+    if (char === '*' && pattern[i + 1] === '*') {
+      if (pattern[i + 2] === '/') {
+        source += '(?:[^/]*/)*'
+        i += 2
+      } else {
+        source += '.*'
+        i++
+      }
+    } else if (char === '*') {
+      source += '[^/]*'
+    } else if (char === '?') {
+      source += '[^/]'
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    }
+  }
+  return new RegExp(`^${source}$`)
+}
+
+// Function to list the files matching a glob pattern
+// The directories before the first wildcard are the search root, so
+// "exports/2025-*/*.csv" only walks the exports directory
+function expandGlob(pattern, baseDir) {
+  const segments = path.resolve(baseDir, pattern).split(path.sep)
+  const firstWildcard = segments.findIndex(hasGlobPattern)
+  const root = segments.slice(0, firstWildcard).join(path.sep) || path.sep
+  const relativePattern = segments.slice(firstWildcard).join('/')
+  const matcher = globToRegExp(relativePattern)
+  const maxDepth = relativePattern.includes('**')
+    ? Infinity
+    : segments.length - firstWildcard
+  const matches = []
+
+  const walk = (dir, relativeDir, depth) => {
+    let entries
+    try {
+      entries = fs.readdirSync(dir, { withFileTypes: true })
+    } catch (error) {
+      return // Missing or unreadable directory: nothing matches
+    }
+    entries.forEach((entry) => {
+      const relativePath = relativeDir
+        ? `${relativeDir}/${entry.name}`
+        : entry.name
+      const fullPath = path.join(dir, entry.name)
+      if (entry.isDirectory()) {
+        if (depth < maxDepth && !ignoredDirectories.includes(entry.name)) {
+          walk(fullPath, relativePath, depth + 1)
+        }
+      } else if (matcher.test(relativePath)) {
+        matches.push(fullPath)
+      }
+    })
+  }
+  walk(root, '', 1)
+
+  return matches
+}
+
+// Function to resolve --input arguments to a list of absolute file paths
+// Each argument is a file, a directory or a glob pattern, relative to
+// baseDir. Files are returned in argument order (matches sorted by name),
+// without duplicates; an argument matching no input file is an error
+function resolveInputFiles(specs, baseDir = process.cwd()) {
+  const files = []
+
+  specs.forEach((spec) => {
+    let matches
+    if (hasGlobPattern(spec)) {
+      matches = expandGlob(spec, baseDir).filter((filepath) =>
+        isExpandedInputFile(path.basename(filepath))
+      )
+    } else {
+      const filepath = path.resolve(baseDir, spec)
+      let stats
+      try {
+        stats = fs.statSync(filepath)
+      } catch (error) {
+        throw new Error(`Input not found: ${spec}`)
+      }
+      matches = stats.isDirectory()
+        ? fs
+            .readdirSync(filepath, { withFileTypes: true })
+            .filter(
+              (entry) => entry.isFile() && isExpandedInputFile(entry.name)
+            )
+            .map((entry) => path.join(filepath, entry.name))
+        : [filepath]
+    }
+
+    if (matches.length === 0) {
+      throw new Error(
+        `No input files found for ${spec} (supported: ${inputExtensions.join(
+          ', '
+        )}, optionally .gz)`
+      )
+    }
+    matches.sort().forEach((filepath) => {
+      if (!files.includes(filepath)) {
+        files.push(filepath)
+      }
+    })
+  })
+
+  return files
+}
+
+// Function to open a file as a UTF-8 text stream, decompressing .gz files
+function openTextStream(filepath) {
+  const fileStream = fs.createReadStream(filepath)
+  // pipeline() forwards read and decompression errors to the last stream
+  const stream = splitGzipSuffix(filepath).gzipped
+    ? pipeline(fileStream, zlib.createGunzip(), () => {})
+    : fileStream
+  stream.setEncoding('utf8')
+  return stream
+}
+
+// Function to pick the delimiter used in a header line
+// Counts each candidate outside quoted text; commas win ties
+function detectDelimiter(headerLine) {
+  const counts = {}
+  let inQuotes = false
+  for (const char of headerLine) {
+    if (char === '"') {
+      inQuotes = !inQuotes
+    } else if (!inQuotes && candidateDelimiters.includes(char)) {
+      counts[char] = (counts[char] || 0) + 1
+    }
+  }
+
+  let best = ','
+  candidateDelimiters.forEach((delimiter) => {
+    if ((counts[delimiter] || 0) > (counts[best] || 0)) {
+      best = delimiter
+    }
+  })
+  return best
+}
+
+// Function to turn a JSON value into a cell value like one read from CSV
+function toCellValue(value) {
+  if (value === null || value === undefined) {
+    return ''
+  }
+  if (typeof value === 'object') {
+    return JSON.stringify(value)
+  }
+  return String(value)
+}
+
+// Converts parsed JSON objects into header and data rows
+// The header comes from the first object; keys that only appear in later
+// objects are dropped (the file is streamed, so the header cannot grow) and
+// reported once each through onDroppedKeys(keys, line)
+class JsonRowBuilder {
+  constructor({ onDroppedKeys } = {}) {
+    this.headers = null
+    this.onDroppedKeys = onDroppedKeys
+    this.droppedKeys = new Set()
+  }
+
+  // Returns the rows for one object: the header row first time, then data
+  toRows(object, line) {
+    if (!object || typeof object !== 'object' || Array.isArray(object)) {
+      throw new Error(`Line ${line}: expected a JSON object`)
+    }
+
+    const rows = []
+    if (!this.headers) {
+      this.headers = Object.keys(object)
+      rows.push({ values: [...this.headers], line })
+    }
+
+    const newKeys = Object.keys(object).filter(
+      (key) => !this.headers.includes(key) && !this.droppedKeys.has(key)
+    )
+    if (newKeys.length > 0) {
+      newKeys.forEach((key) => this.droppedKeys.add(key))
+      if (this.onDroppedKeys) {
+        this.onDroppedKeys(newKeys, line)
+      }
+    }
+
+    const values = this.headers.map((key) => toCellValue(object[key]))
+    rows.push({ values, line })
+    return rows
+  }
+}
+
+// Splits NDJSON text into objects, one per non-blank line
+class NdjsonParser {
+  constructor(options) {
+    this.builder = new JsonRowBuilder(options)
+    this.pending = ''
+    this.line = 0
+  }
+
+  push(text) {
+    const lines = (this.pending + text).split('\n')
+    this.pending = lines.pop()
+    return this.parseLines(lines)
+  }
+
+  end() {
+    const lines = this.pending === '' ? [] : [this.pending]
+    this.pending = ''
+    return this.parseLines(lines)
+  }
+
+  parseLines(lines) {
+    const rows = []
+    lines.forEach((text) => {
+      this.line++
+      const trimmed = text.trim()
+      if (trimmed === '') {
+        return
+      }
+      let object
+      try {
+        object = JSON.parse(trimmed)
+      } catch (error) {
+        throw new Error(`Invalid JSON on line ${this.line}: ${error.message}`)
+      }
+      rows.push(...this.builder.toRows(object, this.line))
+    })
+    return rows
+  }
+}
+
+// Splits a JSON array of objects into objects without parsing it in one go
+class JsonArrayParser {
+  constructor(options) {
+    this.builder = new JsonRowBuilder(options)
+    this.line = 1
+    this.started = false // Seen the opening [
+    this.finished = false // Seen the closing ]
+    this.depth = 0 // Nesting depth inside the current object
+    this.inString = false
+    this.escaped = false
+    this.buffer = '' // Text of the current object so far
+    this.objectLine = 1
+  }
+
+  push(text) {
+    const rows = []
+    let objectStart = this.depth > 0 ? 0 : -1
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i]
+      if (char === '\n') {
+        this.line++
+      }
+
+      if (this.depth > 0) {
+        if (this.inString) {
+          if (this.escaped) {
+            this.escaped = false
+          } else if (char === '\\') {
+            this.escaped = true
+          } else if (char === '"') {
+            this.inString = false
+          }
+        } else if (char === '"') {
+          this.inString = true
+        } else if (char === '{' || char === '[') {
+          this.depth++
+        } else if (char === '}' || char === ']') {
+          this.depth--
+          if (this.depth === 0) {
+            const objectText = this.buffer + text.slice(objectStart, i + 1)
+            this.buffer = ''
+            objectStart = -1
+            rows.push(...this.parseObject(objectText))
+          }
+        }
+        continue
+      }
+
+      // Between array elements
+      if (/\s/.test(char) || char === '\uFEFF') {
+        continue
+      }
+      if (this.finished) {
+        throw new Error(
+          `Unexpected text after the JSON array on line ${this.line}`
+        )
+      }
+      if (!this.started) {
+        if (char !== '[') {
+          throw new Error('JSON input must be an array of objects')
+        }
+        this.started = true
+      } else if (char === ']') {
+        this.finished = true
+      } else if (char === '{') {
+        this.depth = 1
+        this.objectLine = this.line
+        objectStart = i
+      } else if (char !== ',') {
+        throw new Error(
+          `Line ${this.line}: JSON array elements must be objects`
+        )
+      }
+    }
+
+    if (objectStart !== -1) {
+      this.buffer += text.slice(objectStart)
+    }
+    return rows
+  }
+
+  end() {
+    if (!this.started || this.depth > 0 || !this.finished) {
+      throw new Error('JSON input ended before the array was closed')
+    }
+    return []
+  }
+
+  parseObject(objectText) {
+    let object
+    try {
+      object = JSON.parse(objectText)
+    } catch (error) {
+      throw new Error(
+        `Invalid JSON object starting on line ${this.objectLine}: ${error.message}`
+      )
+    }
+    return this.builder.toRows(object, this.objectLine)
+  }
+}
+
+// Function to choose a parser from the file name and the start of the text
+// Returns { parser, description }
+function createParser(filepath, firstChunk, options = {}) {
+  const { name, gzipped } = splitGzipSuffix(path.basename(filepath))
+  const extension = path.extname(name).toLowerCase()
+  const firstChar = firstChunk.replace(/^[\s\uFEFF]+/, '')[0]
+  const suffix = gzipped ? ' (gzip)' : ''
+
+  if (extension === '.ndjson' || extension === '.jsonl' || firstChar === '{') {
+    return { parser: new NdjsonParser(options), description: `NDJSON${suffix}` }
+  }
+  if (extension === '.json' || firstChar === '[') {
+    return {
+      parser: new JsonArrayParser(options),
+      description: `JSON array${suffix}`,
+    }
+  }
+
+  const headerLine = firstChunk.replace(/^\uFEFF/, '').split(/\r?\n|\r/)[0]
+  const delimiter = detectDelimiter(headerLine)
+  return {
+    parser: new CsvParser({ delimiter }),
+    description: `${delimiterNames[delimiter]}-delimited text${suffix}`,
+  }
+}
+
+// Function to read any supported input file row by row
+// Yields { values: [...], line } for every row, starting with the header row.
+// options.onFormat(description) is called once the format is detected.
+// options.onDroppedKeys(keys, line) is called the first time a JSON object
+// has keys that are not in the header (taken from the first object).
+async function* readInputRows(filepath, options = {}) {
+  const stream = openTextStream(filepath)
+  let parser = null
+
+  for await (const chunk of stream) {
+    if (!parser) {
+      const detected = createParser(filepath, chunk, options)
+      parser = detected.parser
+      if (options.onFormat) {
+        options.onFormat(detected.description)
+      }
+    }
+    yield* parser.push(chunk)
+  }
+
+  if (parser) {
+    yield* parser.end()
+  }
+}
+
+module.exports = {
+  inputExtensions,
+  isSupportedInputFile,
+  resolveInputFiles,
+  detectDelimiter,
+  readInputRows,
+  SOURCE_FILE,
+}
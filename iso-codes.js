@@ -0,0 +1,692 @@
+// ISO 3166-1 country and ISO 4217 currency tables shared by the senders
+//
+// CRM exports often carry country and currency names ("United States", "UK",
+// "Deutschland", "Euro") rather than codes. The resolvers below accept a
+// code, an alpha-3 country code, the ISO name or a common alias, in any case
+// and with or without accents and punctuation, and return the ISO code the
+// APIs expect, or null when the value is not a known country or currency.
+// Withdrawn currencies, the non-currency codes XTS and XXX and the ambiguous
+// country code NA are recognised but not resolved, so the senders can say why
+// a value was dropped.
+
+// ISO 3166-1: [alpha-2, alpha-3, name]
+const countries = [
+  ['AD', 'AND', 'Andorra'],
+  ['AE', 'ARE', 'United Arab Emirates'],
+  ['AF', 'AFG', 'Afghanistan'],
+  ['AG', 'ATG', 'Antigua and Barbuda'],
+  ['AI', 'AIA', 'Anguilla'],
+  ['AL', 'ALB', 'Albania'],
+  ['AM', 'ARM', 'Armenia'],
+  ['AO', 'AGO', 'Angola'],
+  ['AQ', 'ATA', 'Antarctica'],
+  ['AR', 'ARG', 'Argentina'],
+  ['AS', 'ASM', 'American Samoa'],
+  ['AT', 'AUT', 'Austria'],
+  ['AU', 'AUS', 'Australia'],
+  ['AW', 'ABW', 'Aruba'],
+  ['AX', 'ALA', 'Åland Islands'],
+  ['AZ', 'AZE', 'Azerbaijan'],
+  ['BA', 'BIH', 'Bosnia and Herzegovina'],
+  ['BB', 'BRB', 'Barbados'],
+  ['BD', 'BGD', 'Bangladesh'],
+  ['BE', 'BEL', 'Belgium'],
+  ['BF', 'BFA', 'Burkina Faso'],
+  ['BG', 'BGR', 'Bulgaria'],
+  ['BH', 'BHR', 'Bahrain'],
+  ['BI', 'BDI', 'Burundi'],
+  ['BJ', 'BEN', 'Benin'],
+  ['BL', 'BLM', 'Saint Barthélemy'],
+  ['BM', 'BMU', 'Bermuda'],
+  ['BN', 'BRN', 'Brunei Darussalam'],
+  ['BO', 'BOL', 'Bolivia'],
+  ['BQ', 'BES', 'Bonaire, Sint Eustatius and Saba'],
+  ['BR', 'BRA', 'Brazil'],
+  ['BS', 'BHS', 'Bahamas'],
+  ['BT', 'BTN', 'Bhutan'],
+  ['BV', 'BVT', 'Bouvet Island'],
+  ['BW', 'BWA', 'Botswana'],
+  ['BY', 'BLR', 'Belarus'],
+  ['BZ', 'BLZ', 'Belize'],
+  ['CA', 'CAN', 'Canada'],
+  ['CC', 'CCK', 'Cocos (Keeling) Islands'],
+  ['CD', 'COD', 'Congo, Democratic Republic of the'],
+  ['CF', 'CAF', 'Central African Republic'],
+  ['CG', 'COG', 'Congo'],
+  ['CH', 'CHE', 'Switzerland'],
+  ['CI', 'CIV', "Côte d'Ivoire"],
+  ['CK', 'COK', 'Cook Islands'],
+  ['CL', 'CHL', 'Chile'],
+  ['CM', 'CMR', 'Cameroon'],
+  ['CN', 'CHN', 'China'],
+  ['CO', 'COL', 'Colombia'],
+  ['CR', 'CRI', 'Costa Rica'],
+  ['CU', 'CUB', 'Cuba'],
+  ['CV', 'CPV', 'Cabo Verde'],
+  ['CW', 'CUW', 'Curaçao'],
+  ['CX', 'CXR', 'Christmas Island'],
+  ['CY', 'CYP', 'Cyprus'],
+  ['CZ', 'CZE', 'Czechia'],
+  ['DE', 'DEU', 'Germany'],
+  ['DJ', 'DJI', 'Djibouti'],
+  ['DK', 'DNK', 'Denmark'],
+  ['DM', 'DMA', 'Dominica'],
+  ['DO', 'DOM', 'Dominican Republic'],
+  ['DZ', 'DZA', 'Algeria'],
+  ['EC', 'ECU', 'Ecuador'],
+  ['EE', 'EST', 'Estonia'],
+  ['EG', 'EGY', 'Egypt'],
+  ['EH', 'ESH', 'Western Sahara'],
+  ['ER', 'ERI', 'Eritrea'],
+  ['ES', 'ESP', 'Spain'],
+  ['ET', 'ETH', 'Ethiopia'],
+  ['FI', 'FIN', 'Finland'],
+  ['FJ', 'FJI', 'Fiji'],
+  ['FK', 'FLK', 'Falkland Islands (Malvinas)'],
+  ['FM', 'FSM', 'Micronesia, Federated States of'],
+  ['FO', 'FRO', 'Faroe Islands'],
+  ['FR', 'FRA', 'France'],
+  ['GA', 'GAB', 'Gabon'],
+  ['GB', 'GBR', 'United Kingdom'],
+  ['GD', 'GRD', 'Grenada'],
+  ['GE', 'GEO', 'Georgia'],
+  ['GF', 'GUF', 'French Guiana'],
+  ['GG', 'GGY', 'Guernsey'],
+  ['GH', 'GHA', 'Ghana'],
+  ['GI', 'GIB', 'Gibraltar'],
+  ['GL', 'GRL', 'Greenland'],
+  ['GM', 'GMB', 'Gambia'],
+  ['GN', 'GIN', 'Guinea'],
+  ['GP', 'GLP', 'Guadeloupe'],
+  ['GQ', 'GNQ', 'Equatorial Guinea'],
+  ['GR', 'GRC', 'Greece'],
+  ['GS', 'SGS', 'South Georgia and the South Sandwich Islands'],
+  ['GT', 'GTM', 'Guatemala'],
+  ['GU', 'GUM', 'Guam'],
+  ['GW', 'GNB', 'Guinea-Bissau'],
+  ['GY', 'GUY', 'Guyana'],
+  ['HK', 'HKG', 'Hong Kong'],
+  ['HM', 'HMD', 'Heard Island and McDonald Islands'],
+  ['HN', 'HND', 'Honduras'],
+  ['HR', 'HRV', 'Croatia'],
+  ['HT', 'HTI', 'Haiti'],
+  ['HU', 'HUN', 'Hungary'],
+  ['ID', 'IDN', 'Indonesia'],
+  ['IE', 'IRL', 'Ireland'],
+  ['IL', 'ISR', 'Israel'],
+  ['IM', 'IMN', 'Isle of Man'],
+  ['IN', 'IND', 'India'],
+  ['IO', 'IOT', 'British Indian Ocean Territory'],
+  ['IQ', 'IRQ', 'Iraq'],
+  ['IR', 'IRN', 'Iran'],
+  ['IS', 'ISL', 'Iceland'],
+  ['IT', 'ITA', 'Italy'],
+  ['JE', 'JEY', 'Jersey'],
+  ['JM', 'JAM', 'Jamaica'],
+  ['JO', 'JOR', 'Jordan'],
+  ['JP', 'JPN', 'Japan'],
+  ['KE', 'KEN', 'Kenya'],
+  ['KG', 'KGZ', 'Kyrgyzstan'],
+  ['KH', 'KHM', 'Cambodia'],
+  ['KI', 'KIR', 'Kiribati'],
+  ['KM', 'COM', 'Comoros'],
+  ['KN', 'KNA', 'Saint Kitts and Nevis'],
+  ['KP', 'PRK', 'North Korea'],
+  ['KR', 'KOR', 'South Korea'],
+  ['KW', 'KWT', 'Kuwait'],
+  ['KY', 'CYM', 'Cayman Islands'],
+  ['KZ', 'KAZ', 'Kazakhstan'],
+  ['LA', 'LAO', "Lao People's Democratic Republic"],
+  ['LB', 'LBN', 'Lebanon'],
+  ['LC', 'LCA', 'Saint Lucia'],
+  ['LI', 'LIE', 'Liechtenstein'],
+  ['LK', 'LKA', 'Sri Lanka'],
+  ['LR', 'LBR', 'Liberia'],
+  ['LS', 'LSO', 'Lesotho'],
+  ['LT', 'LTU', 'Lithuania'],
+  ['LU', 'LUX', 'Luxembourg'],
+  ['LV', 'LVA', 'Latvia'],
+  ['LY', 'LBY', 'Libya'],
+  ['MA', 'MAR', 'Morocco'],
+  ['MC', 'MCO', 'Monaco'],
+  ['MD', 'MDA', 'Moldova'],
+  ['ME', 'MNE', 'Montenegro'],
+  ['MF', 'MAF', 'Saint Martin (French part)'],
+  ['MG', 'MDG', 'Madagascar'],
+  ['MH', 'MHL', 'Marshall Islands'],
+  ['MK', 'MKD', 'North Macedonia'],
+  ['ML', 'MLI', 'Mali'],
+  ['MM', 'MMR', 'Myanmar'],
+  ['MN', 'MNG', 'Mongolia'],
+  ['MO', 'MAC', 'Macao'],
+  ['MP', 'MNP', 'Northern Mariana Islands'],
+  ['MQ', 'MTQ', 'Martinique'],
+  ['MR', 'MRT', 'Mauritania'],
+  ['MS', 'MSR', 'Montserrat'],
+  ['MT', 'MLT', 'Malta'],
+  ['MU', 'MUS', 'Mauritius'],
+  ['MV', 'MDV', 'Maldives'],
+  ['MW', 'MWI', 'Malawi'],
+  ['MX', 'MEX', 'Mexico'],
+  ['MY', 'MYS', 'Malaysia'],
+  ['MZ', 'MOZ', 'Mozambique'],
+  ['NA', 'NAM', 'Namibia'],
+  ['NC', 'NCL', 'New Caledonia'],
+  ['NE', 'NER', 'Niger'],
+  ['NF', 'NFK', 'Norfolk Island'],
+  ['NG', 'NGA', 'Nigeria'],
+  ['NI', 'NIC', 'Nicaragua'],
+  ['NL', 'NLD', 'Netherlands'],
+  ['NO', 'NOR', 'Norway'],
+  ['NP', 'NPL', 'Nepal'],
+  ['NR', 'NRU', 'Nauru'],
+  ['NU', 'NIU', 'Niue'],
+  ['NZ', 'NZL', 'New Zealand'],
+  ['OM', 'OMN', 'Oman'],
+  ['PA', 'PAN', 'Panama'],
+  ['PE', 'PER', 'Peru'],
+  ['PF', 'PYF', 'French Polynesia'],
+  ['PG', 'PNG', 'Papua New Guinea'],
+  ['PH', 'PHL', 'Philippines'],
+  ['PK', 'PAK', 'Pakistan'],
+  ['PL', 'POL', 'Poland'],
+  ['PM', 'SPM', 'Saint Pierre and Miquelon'],
+  ['PN', 'PCN', 'Pitcairn'],
+  ['PR', 'PRI', 'Puerto Rico'],
+  ['PS', 'PSE', 'Palestine, State of'],
+  ['PT', 'PRT', 'Portugal'],
+  ['PW', 'PLW', 'Palau'],
+  ['PY', 'PRY', 'Paraguay'],
+  ['QA', 'QAT', 'Qatar'],
+  ['RE', 'REU', 'Réunion'],
+  ['RO', 'ROU', 'Romania'],
+  ['RS', 'SRB', 'Serbia'],
+  ['RU', 'RUS', 'Russian Federation'],
+  ['RW', 'RWA', 'Rwanda'],
+  ['SA', 'SAU', 'Saudi Arabia'],
+  ['SB', 'SLB', 'Solomon Islands'],
+  ['SC', 'SYC', 'Seychelles'],
+  ['SD', 'SDN', 'Sudan'],
+  ['SE', 'SWE', 'Sweden'],
+  ['SG', 'SGP', 'Singapore'],
+  ['SH', 'SHN', 'Saint Helena, Ascension and Tristan da Cunha'],
+  ['SI', 'SVN', 'Slovenia'],
+  ['SJ', 'SJM', 'Svalbard and Jan Mayen'],
+  ['SK', 'SVK', 'Slovakia'],
+  ['SL', 'SLE', 'Sierra Leone'],
+  ['SM', 'SMR', 'San Marino'],
+  ['SN', 'SEN', 'Senegal'],
+  ['SO', 'SOM', 'Somalia'],
+  ['SR', 'SUR', 'Suriname'],
+  ['SS', 'SSD', 'South Sudan'],
+  ['ST', 'STP', 'Sao Tome and Principe'],
+  ['SV', 'SLV', 'El Salvador'],
+  ['SX', 'SXM', 'Sint Maarten (Dutch part)'],
+  ['SY', 'SYR', 'Syrian Arab Republic'],
+  ['SZ', 'SWZ', 'Eswatini'],
+  ['TC', 'TCA', 'Turks and Caicos Islands'],
+  ['TD', 'TCD', 'Chad'],
+  ['TF', 'ATF', 'French Southern Territories'],
+  ['TG', 'TGO', 'Togo'],
+  ['TH', 'THA', 'Thailand'],
+  ['TJ', 'TJK', 'Tajikistan'],
+  ['TK', 'TKL', 'Tokelau'],
+  ['TL', 'TLS', 'Timor-Leste'],
+  ['TM', 'TKM', 'Turkmenistan'],
+  ['TN', 'TUN', 'Tunisia'],
+  ['TO', 'TON', 'Tonga'],
+  ['TR', 'TUR', 'Türkiye'],
+  ['TT', 'TTO', 'Trinidad and Tobago'],
+  ['TV', 'TUV', 'Tuvalu'],
+  ['TW', 'TWN', 'Taiwan'],
+  ['TZ', 'TZA', 'Tanzania'],
+  ['UA', 'UKR', 'Ukraine'],
+  ['UG', 'UGA', 'Uganda'],
+  ['UM', 'UMI', 'United States Minor Outlying Islands'],
+  ['US', 'USA', 'United States of America'],
+  ['UY', 'URY', 'Uruguay'],
+  ['UZ', 'UZB', 'Uzbekistan'],
+  ['VA', 'VAT', 'Holy See'],
+  ['VC', 'VCT', 'Saint Vincent and the Grenadines'],
+  ['VE', 'VEN', 'Venezuela'],
+  ['VG', 'VGB', 'Virgin Islands (British)'],
+  ['VI', 'VIR', 'Virgin Islands (U.S.)'],
+  ['VN', 'VNM', 'Viet Nam'],
+  ['VU', 'VUT', 'Vanuatu'],
+  ['WF', 'WLF', 'Wallis and Futuna'],
+  ['WS', 'WSM', 'Samoa'],
+  ['YE', 'YEM', 'Yemen'],
+  ['YT', 'MYT', 'Mayotte'],
+  ['ZA', 'ZAF', 'South Africa'],
+  ['ZM', 'ZMB', 'Zambia'],
+  ['ZW', 'ZWE', 'Zimbabwe'],
+]
+
+// Other names CRM exports use for countries
+const countryAliases = {
+  US: ['United States', 'America', 'United States of America (the)', 'US of A'],
+  GB: [
+    'UK',
+    'Great Britain',
+    'Britain',
+    'England',
+    'Scotland',
+    'Wales',
+    'Northern Ireland',
+    'United Kingdom of Great Britain and Northern Ireland',
+  ],
+  DE: ['Deutschland', 'Allemagne', 'Alemania'],
+  FR: ['Frankreich'],
+  ES: ['España', 'Spanien'],
+  IT: ['Italia', 'Italien'],
+  NL: ['Holland', 'Nederland', 'The Netherlands'],
+  BE: ['Belgique', 'België'],
+  CH: ['Schweiz', 'Suisse', 'Svizzera'],
+  AT: ['Österreich'],
+  IE: ['Éire', 'Republic of Ireland'],
+  SE: ['Sverige'],
+  NO: ['Norge'],
+  DK: ['Danmark'],
+  FI: ['Suomi'],
+  PL: ['Polska'],
+  CZ: ['Czech Republic'],
+  BR: ['Brasil'],
+  JP: ['Nippon', 'Nihon'],
+  IN: ['Bharat'],
+  CN: ["People's Republic of China", 'PRC', 'Mainland China'],
+  KR: ['Korea', 'Republic of Korea', 'Korea, Republic of'],
+  KP: ["Korea, Democratic People's Republic of", 'DPRK'],
+  RU: ['Russia'],
+  VN: ['Vietnam'],
+  TR: ['Turkey'],
+  IR: ['Iran, Islamic Republic of'],
+  SY: ['Syria'],
+  LA: ['Laos'],
+  MD: ['Moldova, Republic of'],
+  TZ: ['Tanzania, United Republic of'],
+  BO: ['Bolivia, Plurinational State of'],
+  VE: ['Venezuela, Bolivarian Republic of'],
+  TW: ['Taiwan, Province of China'],
+  CI: ['Ivory Coast', "Cote d'Ivoire"],
+  CV: ['Cape Verde'],
+  SZ: ['Swaziland'],
+  MK: ['Macedonia', 'Republic of North Macedonia'],
+  MM: ['Burma'],
+  CD: ['DRC', 'DR Congo', 'Democratic Republic of the Congo'],
+  CG: ['Republic of the Congo', 'Congo-Brazzaville'],
+  BN: ['Brunei'],
+  PS: ['Palestine'],
+  FM: ['Micronesia'],
+  VA: ['Vatican', 'Vatican City'],
+  MO: ['Macau'],
+  AE: ['UAE', 'Emirates'],
+  SA: ['KSA'],
+  FK: ['Falkland Islands'],
+  VG: ['British Virgin Islands'],
+  VI: ['US Virgin Islands'],
+}
+
+// ISO 4217 currencies in use: code -> name
+const currencies = {
+  AED: 'UAE Dirham',
+  AFN: 'Afghani',
+  ALL: 'Lek',
+  AMD: 'Armenian Dram',
+  AOA: 'Kwanza',
+  ARS: 'Argentine Peso',
+  AUD: 'Australian Dollar',
+  AWG: 'Aruban Florin',
+  AZN: 'Azerbaijan Manat',
+  BAM: 'Convertible Mark',
+  BBD: 'Barbados Dollar',
+  BDT: 'Taka',
+  BHD: 'Bahraini Dinar',
+  BIF: 'Burundi Franc',
+  BMD: 'Bermudian Dollar',
+  BND: 'Brunei Dollar',
+  BOB: 'Boliviano',
+  BOV: 'Mvdol',
+  BRL: 'Brazilian Real',
+  BSD: 'Bahamian Dollar',
+  BTN: 'Ngultrum',
+  BWP: 'Pula',
+  BYN: 'Belarusian Ruble',
+  BZD: 'Belize Dollar',
+  CAD: 'Canadian Dollar',
+  CDF: 'Congolese Franc',
+  CHE: 'WIR Euro',
+  CHF: 'Swiss Franc',
+  CHW: 'WIR Franc',
+  CLF: 'Unidad de Fomento',
+  CLP: 'Chilean Peso',
+  CNY: 'Yuan Renminbi',
+  COP: 'Colombian Peso',
+  COU: 'Unidad de Valor Real',
+  CRC: 'Costa Rican Colon',
+  CUP: 'Cuban Peso',
+  CVE: 'Cabo Verde Escudo',
+  CZK: 'Czech Koruna',
+  DJF: 'Djibouti Franc',
+  DKK: 'Danish Krone',
+  DOP: 'Dominican Peso',
+  DZD: 'Algerian Dinar',
+  EGP: 'Egyptian Pound',
+  ERN: 'Nakfa',
+  ETB: 'Ethiopian Birr',
+  EUR: 'Euro',
+  FJD: 'Fiji Dollar',
+  FKP: 'Falkland Islands Pound',
+  GBP: 'Pound Sterling',
+  GEL: 'Lari',
+  GHS: 'Ghana Cedi',
+  GIP: 'Gibraltar Pound',
+  GMD: 'Dalasi',
+  GNF: 'Guinean Franc',
+  GTQ: 'Quetzal',
+  GYD: 'Guyana Dollar',
+  HKD: 'Hong Kong Dollar',
+  HNL: 'Lempira',
+  HTG: 'Gourde',
+  HUF: 'Forint',
+  IDR: 'Rupiah',
+  ILS: 'New Israeli Sheqel',
+  INR: 'Indian Rupee',
+  IQD: 'Iraqi Dinar',
+  IRR: 'Iranian Rial',
+  ISK: 'Iceland Krona',
+  JMD: 'Jamaican Dollar',
+  JOD: 'Jordanian Dinar',
+  JPY: 'Yen',
+  KES: 'Kenyan Shilling',
+  KGS: 'Som',
+  KHR: 'Riel',
+  KMF: 'Comorian Franc',
+  KPW: 'North Korean Won',
+  KRW: 'Won',
+  KWD: 'Kuwaiti Dinar',
+  KYD: 'Cayman Islands Dollar',
+  KZT: 'Tenge',
+  LAK: 'Lao Kip',
+  LBP: 'Lebanese Pound',
+  LKR: 'Sri Lanka Rupee',
+  LRD: 'Liberian Dollar',
+  LSL: 'Loti',
+  LYD: 'Libyan Dinar',
+  MAD: 'Moroccan Dirham',
+  MDL: 'Moldovan Leu',
+  MGA: 'Malagasy Ariary',
+  MKD: 'Denar',
+  MMK: 'Kyat',
+  MNT: 'Tugrik',
+  MOP: 'Pataca',
+  MRU: 'Ouguiya',
+  MUR: 'Mauritius Rupee',
+  MVR: 'Rufiyaa',
+  MWK: 'Malawi Kwacha',
+  MXN: 'Mexican Peso',
+  MXV: 'Mexican Unidad de Inversion (UDI)',
+  MYR: 'Malaysian Ringgit',
+  MZN: 'Mozambique Metical',
+  NAD: 'Namibia Dollar',
+  NGN: 'Naira',
+  NIO: 'Cordoba Oro',
+  NOK: 'Norwegian Krone',
+  NPR: 'Nepalese Rupee',
+  NZD: 'New Zealand Dollar',
+  OMR: 'Rial Omani',
+  PAB: 'Balboa',
+  PEN: 'Sol',
+  PGK: 'Kina',
+  PHP: 'Philippine Peso',
+  PKR: 'Pakistan Rupee',
+  PLN: 'Zloty',
+  PYG: 'Guarani',
+  QAR: 'Qatari Rial',
+  RON: 'Romanian Leu',
+  RSD: 'Serbian Dinar',
+  RUB: 'Russian Ruble',
+  RWF: 'Rwanda Franc',
+  SAR: 'Saudi Riyal',
+  SBD: 'Solomon Islands Dollar',
+  SCR: 'Seychelles Rupee',
+  SDG: 'Sudanese Pound',
+  SEK: 'Swedish Krona',
+  SGD: 'Singapore Dollar',
+  SHP: 'Saint Helena Pound',
+  SLE: 'Leone',
+  SOS: 'Somali Shilling',
+  SRD: 'Surinam Dollar',
+  SSP: 'South Sudanese Pound',
+  STN: 'Dobra',
+  SVC: 'El Salvador Colon',
+  SYP: 'Syrian Pound',
+  SZL: 'Lilangeni',
+  THB: 'Baht',
+  TJS: 'Somoni',
+  TMT: 'Turkmenistan New Manat',
+  TND: 'Tunisian Dinar',
+  TOP: 'Pa’anga',
+  TRY: 'Turkish Lira',
+  TTD: 'Trinidad and Tobago Dollar',
+  TWD: 'New Taiwan Dollar',
+  TZS: 'Tanzanian Shilling',
+  UAH: 'Hryvnia',
+  UGX: 'Uganda Shilling',
+  USD: 'US Dollar',
+  USN: 'US Dollar (Next day)',
+  UYI: 'Uruguay Peso en Unidades Indexadas (UI)',
+  UYU: 'Peso Uruguayo',
+  UYW: 'Unidad Previsional',
+  UZS: 'Uzbekistan Sum',
+  VED: 'Bolívar Soberano (digital)',
+  VES: 'Bolívar Soberano',
+  VND: 'Dong',
+  VUV: 'Vatu',
+  WST: 'Tala',
+  XAF: 'CFA Franc BEAC',
+  XAG: 'Silver',
+  XAU: 'Gold',
+  XBA: 'Bond Markets Unit European Composite Unit (EURCO)',
+  XBB: 'Bond Markets Unit European Monetary Unit (E.M.U.-6)',
+  XBC: 'Bond Markets Unit European Unit of Account 9 (E.U.A.-9)',
+  XBD: 'Bond Markets Unit European Unit of Account 17 (E.U.A.-17)',
+  XCD: 'East Caribbean Dollar',
+  XCG: 'Caribbean Guilder',
+  XDR: 'SDR (Special Drawing Right)',
+  XOF: 'CFA Franc BCEAO',
+  XPD: 'Palladium',
+  XPF: 'CFP Franc',
+  XPT: 'Platinum',
+  XSU: 'Sucre',
+  XUA: 'ADB Unit of Account',
+  YER: 'Yemeni Rial',
+  ZAR: 'Rand',
+  ZMW: 'Zambian Kwacha',
+  ZWG: 'Zimbabwe Gold',
+}
+
+// Recently withdrawn ISO 4217 currencies; older CRM records (and the
+// generator's random currencies) still carry them, but no amount can be sent
+// in them
+const withdrawnCurrencies = {
+  ANG: 'Netherlands Antillean Guilder',
+  BGN: 'Bulgarian Lev',
+  CUC: 'Peso Convertible',
+  HRK: 'Kuna',
+  SLL: 'Leone (old)',
+  ZWL: 'Zimbabwe Dollar',
+}
+
+// ISO 4217 codes that are not currencies
+const nonCurrencies = {
+  XTS: 'Codes specifically reserved for testing purposes',
+  XXX: 'The codes assigned for transactions where no currency is involved',
+}
+
+// Other names CRM exports use for currencies (plurals are handled by the
+// resolver, e.g. "Euros" or "US Dollars")
+const currencyAliases = {
+  USD: ['U.S. Dollar', 'American Dollar', 'USD$'],
+  EUR: ['Euro Member Countries'],
+  GBP: ['British Pound', 'Sterling', 'UK Pound'],
+  JPY: ['Japanese Yen'],
+  CNY: ['Renminbi', 'RMB', 'Chinese Yuan', 'Yuan'],
+  KRW: ['South Korean Won', 'Korean Won'],
+  ILS: ['Israeli Shekel', 'New Israeli Shekel', 'Shekel', 'NIS'],
+  RUB: ['Russian Rouble', 'Rouble'],
+  PLN: ['Polish Zloty', 'Złoty'],
+  HUF: ['Hungarian Forint'],
+  IDR: ['Indonesian Rupiah'],
+  THB: ['Thai Baht'],
+  VND: ['Vietnamese Dong'],
+  ZAR: ['South African Rand'],
+  NGN: ['Nigerian Naira'],
+  UAH: ['Ukrainian Hryvnia'],
+  KZT: ['Kazakhstani Tenge'],
+  TWD: ['Taiwan Dollar'],
+  AED: ['Emirati Dirham', 'UAE Dirhams'],
+  VES: ['Bolívar', 'Venezuelan Bolívar'],
+  SEK: ['Swedish Krona'],
+  ISK: ['Icelandic Krona'],
+}
+
+// Currency symbols that stand for a single currency ("$", "¥" and "kr" are
+// shared by several and are not resolved)
+const currencySymbols = {
+  '€': 'EUR',
+  '£': 'GBP',
+  US$: 'USD',
+  A$: 'AUD',
+  AU$: 'AUD',
+  C$: 'CAD',
+  CA$: 'CAD',
+  NZ$: 'NZD',
+  S$: 'SGD',
+  HK$: 'HKD',
+  R$: 'BRL',
+  MX$: 'MXN',
+  '₹': 'INR',
+  '₩': 'KRW',
+  '₽': 'RUB',
+  '₺': 'TRY',
+  '₪': 'ILS',
+  '₱': 'PHP',
+  '₫': 'VND',
+  '₴': 'UAH',
+  '₦': 'NGN',
+  '฿': 'THB',
+  zł: 'PLN',
+}
+
+// Function to reduce a name to a lookup key: accents, case, dots and
+// apostrophes are ignored, other punctuation counts as a space and a leading
+// "the" is dropped ("The Netherlands", "U.S.A.", "Côte d’Ivoire")
+function lookupKey(value) {
+  return String(value)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[.'\u2019]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .replace(/^the /, '')
+}
+
+// Function to build a lookup key -> code index; earlier entries win
+function buildIndex(entries) {
+  const index = new Map()
+  entries.forEach(([name, code]) => {
+    const key = lookupKey(name)
+    if (key !== '' && !index.has(key)) {
+      index.set(key, code)
+    }
+  })
+  return index
+}
+
+const countryIndex = buildIndex([
+  ...countries.map(([alpha2]) => [alpha2, alpha2]),
+  ...countries.map(([alpha2, alpha3]) => [alpha3, alpha2]),
+  ...countries.map(([alpha2, , name]) => [name, alpha2]),
+  ...Object.entries(countryAliases).flatMap(([alpha2, names]) =>
+    names.map((name) => [name, alpha2])
+  ),
+])
+
+const currencyIndex = buildIndex([
+  ...Object.keys(currencies).map((code) => [code, code]),
+  ...Object.entries(currencyAliases).flatMap(([code, names]) =>
+    names.map((name) => [name, code])
+  ),
+  ...Object.entries(currencies).map(([code, name]) => [name, code]),
+])
+
+const inactiveCurrencies = { ...withdrawnCurrencies, ...nonCurrencies }
+const inactiveCurrencyIndex = buildIndex([
+  ...Object.keys(inactiveCurrencies).map((code) => [code, code]),
+  ...Object.entries(inactiveCurrencies).map(([code, name]) => [name, code]),
+])
+
+// Country codes that are also common placeholders in CRM exports: NA is
+// Namibia, but usually means "not available"
+const ambiguousCountryCodes = ['NA']
+
+// Function to resolve a country code, alpha-3 code, name or alias to an
+// ISO 3166-1 alpha-2 code; returns null for unknown and ambiguous values
+function resolveCountryCode(value) {
+  if (isAmbiguousCountryCode(value)) {
+    return null
+  }
+  return countryIndex.get(lookupKey(value)) || null
+}
+
+// Function to check whether a value is a country code that is more likely a
+// placeholder, e.g. NA ("not available")
+function isAmbiguousCountryCode(value) {
+  return ambiguousCountryCodes.includes(String(value).trim().toUpperCase())
+}
+
+// Function to resolve a currency code, name, alias or symbol to an active
+// ISO 4217 currency; returns null for unknown and inactive values
+function resolveCurrencyCode(value) {
+  const text = String(value).trim()
+  const symbolCode =
+    currencySymbols[text] || currencySymbols[text.toUpperCase()]
+  if (symbolCode) {
+    return symbolCode
+  }
+
+  const key = lookupKey(text)
+  if (currencyIndex.has(key)) {
+    return currencyIndex.get(key)
+  }
+  // Plural names: "Euros", "US Dollars", "Swiss Francs"
+  if (key.endsWith('s') && currencyIndex.has(key.slice(0, -1))) {
+    return currencyIndex.get(key.slice(0, -1))
+  }
+  return null
+}
+
+// Function to look up a withdrawn currency or non-currency code by code or
+// name; returns { code, name, withdrawn } or null
+function findInactiveCurrency(value) {
+  const code = inactiveCurrencyIndex.get(lookupKey(value))
+  if (!code) {
+    return null
+  }
+  return {
+    code,
+    name: inactiveCurrencies[code],
+    withdrawn: code in withdrawnCurrencies,
+  }
+}
+
+module.exports = {
+  countries,
+  currencies,
+  resolveCountryCode,
+  isAmbiguousCountryCode,
+  resolveCurrencyCode,
+  findInactiveCurrency,
+}
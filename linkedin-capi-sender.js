@@ -1,33 +1,47 @@
 #!/usr/bin/env node
 
-const fs = require('fs')
-const path = require('path')
 const readline = require('readline-sync')
 const axios = require('axios')
 const crypto = require('crypto')
-
-class LinkedInCAPISender {
+const { SOURCE_LINE } = require('./csv-parser')
+const { SOURCE_FILE } = require('./input-reader')
+const { normalizeEmail } = require('./email-normalizer')
+const { positionOf, positionAfter } = require('./checkpoint')
+const { printPolicy } = require('./validation-policy')
+const { senderCliOptions, EventSender } = require('./event-sender')
+
+// Command-line options; everything else is asked for interactively
+const cliOptions = senderCliOptions(
+  'linkedin-capi',
+  'batch',
+  ' (the access token is asked for again)'
+)
+
+class LinkedInCAPISender extends EventSender {
   constructor() {
+    super('linkedin-capi', {
+      unit: 'batch',
+      conversionLabel: 'the conversion ID',
+      platformName: 'LinkedIn CAPI',
+    })
     this.linkedinApiVersion = '202508'
     this.accessToken = ''
     this.conversionId = ''
     this.maxApiCallsPerMinute = 60 // API calls per minute (default 60)
     this.eventsPerBatch = 100 // Events per batch (default 100)
-    this.useConversionTime = false // Whether to use conversionTime from CSV
-    this.resetOldTimestamps = false // Whether to reset timestamps older than 90 days
     this.debugConversionTime = 0 // Counter for debug logging
-    this.csvFile = ''
-    this.csvData = []
-    this.totalRecords = 0
-    this.sentRecords = 0
-    this.failedRecords = [] // Track failed records for retry
-    this.successfulEvents = [] // Track successful events for file output
+    this.failedRecords = [] // Failed events to retry: { row, error, batchIndex, eventIndex }
+    this.successfulEventCount = 0 // Successful events, kept in the checkpoint's events file for output
     this.apiStats = new Map() // Track API response codes
-    this.isRunning = false
     this.startTime = 0
     this.successfulEventsFile = '' // File to store successful events
   }
 
+  // Where events go, part of the dedup key
+  conversionKey() {
+    return this.conversionId
+  }
+
   // Get LinkedIn API version from user
   getLinkedInApiVersion() {
     console.log('\n=== LinkedIn API Configuration ===')
@@ -201,26 +215,32 @@ class LinkedInCAPISender {
   getConversionTimeConfigurationIfAvailable() {
     // Check if CSV has conversionTime column
     if (
-      this.csvData.length > 0 &&
-      this.csvData[0].hasOwnProperty('conversionTime')
+      this.sampleRecords.length > 0 &&
+      this.sampleRecords[0].hasOwnProperty('conversionTime')
     ) {
       console.log('\n=== Conversion Time Configuration ===')
       console.log('💡 Found conversionTime column in CSV file')
 
       // Show a sample of the conversionTime values
-      const sampleTimes = this.csvData.slice(0, 3).map((record) => {
-        if (record.conversionTime) {
+      const sampleTimes = this.sampleRecords.map((record) => {
+        if (/^\d+$/.test(record.conversionTime)) {
           const date = new Date(parseInt(record.conversionTime))
           return `   • ${date.toISOString()}`
         }
+        if (record.conversionTime) {
+          return `   • (unparseable: "${record.conversionTime}")`
+        }
         return '   • (empty)'
       })
       console.log('📋 Sample conversionTime values:')
       console.log(sampleTimes.join('\n'))
 
-      const useConversionTimeInput = readline.question(
-        '\nDo you want to use conversionTime from CSV? (y/n): '
-      )
+      // Validation checks conversionTime without asking
+      const useConversionTimeInput = this.dryRun
+        ? 'y'
+        : readline.question(
+            '\nDo you want to use conversionTime from CSV? (y/n): '
+          )
 
       if (
         useConversionTimeInput.toLowerCase() === 'y' ||
@@ -231,24 +251,9 @@ class LinkedInCAPISender {
           '✅ Will use conversionTime from CSV when available (within last 90 days)'
         )
 
-        // Ask about handling old timestamps
-        console.log(
-          '\n💡 LinkedIn CAPI only accepts timestamps within the last 90 days'
-        )
-        const resetOldInput = readline.question(
-          'Reset timestamps older than 90 days to current time? (y/n): '
-        )
-
-        if (
-          resetOldInput.toLowerCase() === 'y' ||
-          resetOldInput.toLowerCase() === 'yes'
-        ) {
-          this.resetOldTimestamps = true
-          console.log('✅ Will reset old timestamps to current time')
-        } else {
-          this.resetOldTimestamps = false
-          console.log('✅ Will skip events with timestamps older than 90 days')
-        }
+        // Ask about handling old and future-dated timestamps
+        this.selectOldTimestampStrategy()
+        this.selectFutureTimestampStrategy()
 
         console.log(
           '💡 Falls back to current timestamp if conversionTime is missing or invalid'
@@ -265,320 +270,12 @@ class LinkedInCAPISender {
     }
   }
 
-  // Validate if timestamp is within last 90 days
-  isValidConversionTime(timestamp) {
-    if (!timestamp || isNaN(timestamp)) {
-      return false
-    }
-
-    const now = Date.now()
-    const ninetyDaysAgo = now - 90 * 24 * 60 * 60 * 1000 // 90 days in milliseconds
-
-    return timestamp >= ninetyDaysAgo && timestamp <= now
-  }
-
-  // Browse and select CSV file
-  selectCsvFile() {
-    console.log('\n=== CSV File Selection ===')
-
-    // Get all CSV files in current directory
-    const csvFiles = fs
-      .readdirSync(__dirname)
-      .filter((file) => file.endsWith('.csv'))
-      .sort()
-
-    if (csvFiles.length === 0) {
-      throw new Error('No CSV files found in current directory')
-    }
-
-    console.log('Available CSV files:')
-    csvFiles.forEach((file, index) => {
-      const stats = fs.statSync(path.join(__dirname, file))
-      const sizeKB = (stats.size / 1024).toFixed(2)
-      console.log(`${index + 1}. ${file} (${sizeKB} KB)`)
-    })
-
-    while (true) {
-      const selection = readline.question('Select a CSV file (enter number): ')
-      const index = parseInt(selection) - 1
-
-      if (index >= 0 && index < csvFiles.length) {
-        this.csvFile = csvFiles[index]
-        break
-      } else {
-        console.log('❌ Please enter a valid number')
-      }
-    }
-
-    console.log(`✅ Selected CSV file: ${this.csvFile}`)
-  }
-
-  // Parse CSV file
-  parseCsvFile() {
-    console.log('\n=== Parsing CSV File ===')
-
-    try {
-      const csvContent = fs.readFileSync(
-        path.join(__dirname, this.csvFile),
-        'utf8'
-      )
-      const lines = csvContent.trim().split('\n')
-
-      if (lines.length < 2) {
-        throw new Error(
-          'CSV file must have at least a header row and one data row'
-        )
-      }
-
-      // Parse header
-      const headers = lines[0].split(',').map((h) => h.trim())
-      console.log(`📋 Headers found: ${headers.join(', ')}`)
-
-      // Parse data rows
-      this.csvData = []
-      for (let i = 1; i < lines.length; i++) {
-        const values = this.parseCsvLine(lines[i])
-        if (values.length === headers.length) {
-          const record = {}
-          headers.forEach((header, index) => {
-            let value = values[index].trim()
-
-            // Clean SFDC-specific formatting
-            value = this.cleanSfdcValue(value)
-
-            // Convert ISO-8601 to epoch for conversionTime field
-            if (
-              header === 'conversionTime' &&
-              value &&
-              this.isIso8601Date(value)
-            ) {
-              value = this.convertIso8601ToEpoch(value)
-            }
-
-            record[header] = value
-          })
-          this.csvData.push(record)
-        }
-      }
-
-      this.totalRecords = this.csvData.length
-      console.log(`✅ Parsed ${this.totalRecords} records successfully`)
-    } catch (error) {
-      throw new Error(`Failed to parse CSV file: ${error.message}`)
-    }
-  }
-
-  // Parse a CSV line handling quotes and commas
-  parseCsvLine(line) {
-    const result = []
-    let current = ''
-    let inQuotes = false
-
-    for (let i = 0; i < line.length; i++) {
-      const char = line[i]
-
-      if (char === '"') {
-        if (inQuotes && line[i + 1] === '"') {
-          current += '"'
-          i++ // Skip next quote
-        } else {
-          inQuotes = !inQuotes
-        }
-      } else if (char === ',' && !inQuotes) {
-        result.push(current)
-        current = ''
-      } else {
-        current += char
-      }
-    }
-
-    result.push(current)
-    return result
-  }
-
-  // Clean SFDC-specific value formatting
-  cleanSfdcValue(value) {
-    // Remove surrounding quotes if present
-    if (value.startsWith('"') && value.endsWith('"')) {
-      value = value.slice(1, -1)
-    }
-
-    // Convert "[not provided]" to empty string
-    if (value === '[not provided]') {
-      value = ''
-    }
-
-    // Handle escaped quotes within the value
-    value = value.replace(/""/g, '"')
-
-    return value
-  }
-
-  // Check if a string is in ISO-8601 date format
-  isIso8601Date(dateString) {
-    const iso8601Regex = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d{3})?Z$/
-    return iso8601Regex.test(dateString)
-  }
-
-  // Convert ISO-8601 date string to epoch milliseconds
-  convertIso8601ToEpoch(iso8601String) {
-    try {
-      const date = new Date(iso8601String)
-      if (isNaN(date.getTime())) {
-        console.log(`⚠️  Invalid ISO-8601 date format: ${iso8601String}`)
-        return ''
-      }
-      return date.getTime().toString()
-    } catch (error) {
-      console.log(
-        `⚠️  Error converting date ${iso8601String}: ${error.message}`
-      )
-      return ''
-    }
-  }
-
-  // Validate currency code and conversion value pair
-  validateCurrencyData(record) {
-    const hasCurrencyCode =
-      record.currencyCode && record.currencyCode.trim() !== ''
-    const hasConversionValue =
-      record.conversionValue && record.conversionValue.trim() !== ''
-
-    // If neither field is provided, that's fine - both will be ignored
-    if (!hasCurrencyCode && !hasConversionValue) {
-      return { valid: true, shouldInclude: false }
-    }
-
-    // If only one field is provided, ignore both
-    if (!hasCurrencyCode || !hasConversionValue) {
-      return {
-        valid: true,
-        shouldInclude: false,
-        warning:
-          'Currency data incomplete - both currencyCode and conversionValue required, ignoring both fields',
-      }
-    }
-
-    // Validate currency code format (3-character ISO code)
-    const currencyCode = record.currencyCode.trim().toUpperCase()
-    if (!/^[A-Z]{3}$/.test(currencyCode)) {
-      return {
-        valid: true,
-        shouldInclude: false,
-        warning:
-          'Invalid currencyCode format - must be 3-character ISO code, ignoring currency data',
-      }
-    }
-
-    // Validate conversion value (must be a number >= 0)
-    const conversionValue = parseFloat(record.conversionValue)
-    if (isNaN(conversionValue) || conversionValue < 0) {
-      return {
-        valid: true,
-        shouldInclude: false,
-        warning:
-          'Invalid conversionValue - must be a number >= 0, ignoring currency data',
-      }
-    }
-
-    return { valid: true, shouldInclude: true, currencyCode, conversionValue }
-  }
-
-  // Validate user information fields
-  validateUserInfo(record) {
-    const userInfoFields = ['title', 'companyName', 'countryCode']
-    const hasUserInfo = userInfoFields.some(
-      (field) => record[field] && record[field].trim() !== ''
-    )
-
-    if (!hasUserInfo) {
-      return { valid: true, includeUserInfo: false }
-    }
-
-    const hasFirstName = record.firstName && record.firstName.trim() !== ''
-    const hasLastName = record.lastName && record.lastName.trim() !== ''
-
-    if (hasFirstName && hasLastName) {
-      return { valid: true, includeUserInfo: true }
-    }
-
-    // User info present but missing required firstName/lastName
-    const missingFields = []
-    if (!hasFirstName) missingFields.push('firstName')
-    if (!hasLastName) missingFields.push('lastName')
-
-    return {
-      valid: true,
-      includeUserInfo: false,
-      warning: `User information detected but missing required fields (${missingFields.join(
-        ', '
-      )}). Excluding all user information fields (firstName, lastName, title, companyName, countryCode) from this record.`,
-    }
-  }
-
-  // Validate event data before sending
-  validateEventData(record, index) {
-    const errors = []
-    const warnings = []
-
-    // 1. Must have email (assuming data source is CRM)
-    if (!record.email || record.email.trim() === '') {
-      errors.push('Missing required email field')
-    }
-
-    // 2. Validate user information
-    const userInfoValidation = this.validateUserInfo(record)
-    if (userInfoValidation.warning) {
-      warnings.push(userInfoValidation.warning)
-    }
-
-    // 3. Check conversion time if using CSV timestamps and not resetting old ones
-    if (
-      this.useConversionTime &&
-      !this.resetOldTimestamps &&
-      record.conversionTime
-    ) {
-      const csvTimestamp = parseInt(record.conversionTime)
-      if (!isNaN(csvTimestamp) && !this.isValidConversionTime(csvTimestamp)) {
-        const daysAgo = Math.floor(
-          (Date.now() - csvTimestamp) / (1000 * 60 * 60 * 24)
-        )
-        errors.push(
-          `ConversionTime is ${daysAgo} days old (beyond 90-day LinkedIn CAPI limit)`
-        )
-      }
-    }
-
-    // 4. Validate currency data
-    const currencyValidation = this.validateCurrencyData(record)
-    if (currencyValidation.warning) {
-      warnings.push(currencyValidation.warning)
-    }
-
-    // Show warnings but don't fail validation
-    if (warnings.length > 0) {
-      console.log(
-        `⚠️  Record ${index + 1} (${
-          record.email || 'no email'
-        }) warnings: ${warnings.join(', ')}`
-      )
-    }
-
-    if (errors.length > 0) {
-      console.log(
-        `⚠️  Skipping record ${index + 1} (${
-          record.email || 'no email'
-        }): ${errors.join(', ')}`
-      )
-      return false
-    }
-
-    return { valid: true, includeUserInfo: userInfoValidation.includeUserInfo }
-  }
-
-  // Hash email with SHA-256
+  // Hash normalised email with SHA-256
   hashEmail(email) {
-    return crypto.createHash('sha256').update(email.toLowerCase()).digest('hex')
+    return crypto
+      .createHash('sha256')
+      .update(normalizeEmail(email))
+      .digest('hex')
   }
 
   // Construct single LinkedIn CAPI event
@@ -593,31 +290,21 @@ class LinkedInCAPISender {
       if (this.isValidConversionTime(csvTimestamp)) {
         conversionTimestamp = csvTimestamp
         timeSource = 'csv'
-      } else if (this.resetOldTimestamps) {
-        // Use current time for old timestamps when reset option is enabled
-        conversionTimestamp = Date.now()
-        timeSource = 'current (reset old)'
-
-        // Log reset action for debugging (only for first few records)
-        if (this.debugConversionTime < 3) {
-          const daysAgo = Math.floor(
-            (Date.now() - csvTimestamp) / (1000 * 60 * 60 * 24)
-          )
-          console.log(
-            `🔄 Reset old timestamp for ${record.email}: ${new Date(
-              csvTimestamp
-            ).toISOString()} (${daysAgo} days ago) → current time`
-          )
-        }
       } else {
         // This should not happen as validation should catch this, but fallback to current time
         const daysAgo = Math.floor(
           (Date.now() - csvTimestamp) / (1000 * 60 * 60 * 24)
         )
+        const age =
+          csvTimestamp > Date.now()
+            ? `${((csvTimestamp - Date.now()) / (1000 * 60 * 60)).toFixed(
+                1
+              )} hours in the future`
+            : `${daysAgo} days ago`
         console.log(
           `⚠️  Invalid conversionTime for email ${record.email}: ${new Date(
             csvTimestamp
-          ).toISOString()} (${daysAgo} days ago). Using current timestamp.`
+          ).toISOString()} (${age}). Using current timestamp.`
         )
       }
     }
@@ -661,7 +348,7 @@ class LinkedInCAPISender {
         lastName: record.lastName,
         title: record.title,
         companyName: record.companyName,
-        countryCode: record.countryCode,
+        countryCode: this.validateUserInfo(record).countryCode,
       }
 
       // Filter out empty/undefined values
@@ -697,6 +384,12 @@ class LinkedInCAPISender {
           record,
           includeUserInfo: validation.includeUserInfo,
         })
+      } else {
+        record[SOURCE_FILE].quarantine.addRecord(
+          record,
+          record[SOURCE_LINE],
+          validation.errors
+        )
       }
     })
 
@@ -713,6 +406,7 @@ class LinkedInCAPISender {
 
     return {
       elements: elements,
+      records: validRecords.map(({ record }) => record), // One per element
       validRecordsCount: validRecords.length,
       skippedRecordsCount: actualSkipped,
     }
@@ -776,17 +470,18 @@ class LinkedInCAPISender {
       // Log successful response
       await this.logApiResponse(batchIndex, response, batchDuration, true)
 
-      // Process batch response - each element corresponds to an input record
+      // Process batch response - each element corresponds to a sent record
       const elements = response.data.elements || []
       const successfulEvents = []
       const failedEvents = []
 
       elements.forEach((element, index) => {
-        const originalRecord = records[index]
+        const originalRecord = payload.records[index]
 
         if (element.status === 201) {
           // Success
           this.sentRecords++
+          originalRecord[SOURCE_FILE].sent++
           successfulEvents.push({
             ...originalRecord,
             batchIndex: batchIndex,
@@ -798,7 +493,7 @@ class LinkedInCAPISender {
         } else {
           // Failed
           failedEvents.push({
-            record: originalRecord,
+            row: positionOf(this.inputFiles, originalRecord),
             error: element.error || {
               message: 'Unknown error',
               status: element.status,
@@ -809,8 +504,11 @@ class LinkedInCAPISender {
         }
       })
 
-      // Store successful events for file output
-      this.successfulEvents.push(...successfulEvents)
+      // Store successful events for file output and for a resumed run, and
+      // their keys in the ledger (the copies keep the record's dedup key)
+      this.successfulEventCount += successfulEvents.length
+      this.checkpoint.appendEvents(successfulEvents)
+      this.deduplicator.recordSent(successfulEvents)
 
       // Store failed events for retry
       this.failedRecords.push(...failedEvents)
@@ -869,10 +567,11 @@ class LinkedInCAPISender {
       // Enhanced error diagnosis
       this.diagnoseError(error, batchIndex, batchDuration)
 
-      // All records in this batch failed - add them to failed records for retry
-      records.forEach((record, index) => {
+      // All sent records in this batch failed - add them to failed records
+      // for retry (skipped records are already quarantined)
+      payload.records.forEach((record, index) => {
         this.failedRecords.push({
-          record: record,
+          row: positionOf(this.inputFiles, record),
           error: { message: errorMessage, status: statusCode },
           batchIndex: batchIndex,
           eventIndex: index,
@@ -1098,19 +797,38 @@ class LinkedInCAPISender {
       )} minutes`
     )
 
-    const confirm = readline.question('\nProceed with sending? (y/n): ')
-    if (confirm.toLowerCase() !== 'y' && confirm.toLowerCase() !== 'yes') {
+    if (!this.confirmSending()) {
       console.log('❌ Operation cancelled')
       return
     }
 
     this.isRunning = true
+    this.shutdown.install()
     this.startTime = Date.now()
 
+    // A resumed run carries the totals across
+    if (this.resumeFrom) {
+      await this.restoreProgress(this.resumeFrom)
+    } else {
+      this.checkpoint.start(
+        this.argv,
+        this.checkpointSettings(),
+        this.inputFiles
+      )
+      this.saveCheckpoint({
+        lastRecord: null,
+        batchIndex: 0,
+        retryQueue: null,
+      })
+    }
+    console.log(
+      `💾 Progress is saved to ${this.checkpoint.filepath} after every batch; if the run is interrupted, continue it with --resume`
+    )
+
     console.log('\n📤 Starting to send batches to LinkedIn...\n')
 
     // Send records in batches
-    await this.sendRecordsBatch()
+    const recordsLeft = await this.sendRecordsBatch()
 
     const endTime = Date.now()
     const totalTime = ((endTime - this.startTime) / 1000 / 60).toFixed(2)
@@ -1122,21 +840,35 @@ class LinkedInCAPISender {
     console.log('\n\n=== Sending Complete ===')
     console.log(`✅ Successfully sent: ${this.sentRecords} events`)
     console.log(`❌ Failed to send: ${this.failedRecords.length} events`)
+    if (recordsLeft > 0) {
+      console.log(
+        `🛑 Stopped by ${this.shutdown.signal}: ${recordsLeft} events not sent or retried yet - continue with --resume`
+      )
+    }
     console.log(`⏱️  Total time: ${totalTime} minutes`)
     console.log(`🚀 Average rate: ${finalEventRate} events per minute`)
     console.log(
-      `📈 Success rate: ${(
-        (this.sentRecords / this.totalRecords) *
-        100
-      ).toFixed(1)}%`
+      `📈 Success rate: ${
+        this.totalRecords > 0
+          ? ((this.sentRecords / this.totalRecords) * 100).toFixed(1)
+          : '0.0'
+      }%`
     )
+    this.displayDuplicates()
+    this.displayFutureDated()
+    this.displayRewrites()
+    this.displayFileBreakdown()
 
     this.displayApiStats()
 
-    // Save successful events to file
-    if (this.successfulEvents.length > 0) {
+    // Save successful events to file; they are read from the checkpoint's
+    // events file, which completing the checkpoint deletes
+    if (this.successfulEventCount > 0) {
       await this.saveSuccessfulEventsToFile()
     }
+    if (recordsLeft === 0) {
+      this.checkpoint.complete()
+    }
 
     // Display retry recommendations for failed events
     if (this.failedRecords.length > 0) {
@@ -1144,7 +876,8 @@ class LinkedInCAPISender {
     }
   }
 
-  // Send records using LinkedIn BATCH_CREATE API
+  // Send records using LinkedIn BATCH_CREATE API; returns the number of
+  // records left when stopped early (0 once all were handled)
   async sendRecordsBatch() {
     const { batchSize, apiCallsPerMinute } = this.getBatchConfiguration()
     const targetIntervalMs = (60 * 1000) / apiCallsPerMinute // Time between API calls
@@ -1158,21 +891,39 @@ class LinkedInCAPISender {
     console.log(`   • Strategy: LinkedIn BATCH_CREATE with retry logic`)
     console.log('')
 
-    let batchIndex = 0
-    let recordsToProcess = [...this.csvData] // Copy original data
+    // A resumed run skips the records the interrupted run handled
+    const progress = this.resumeFrom
+    let batchIndex = progress ? progress.batchIndex : 0
+    const recordsToProcess = this.recordsToSend()
+    let recordsLeft = this.totalRecords - this.handledRecords
     const startTime = Date.now()
+    if (progress) {
+      console.log(
+        `⏩ Resuming at batch ${batchIndex + 1}: ${
+          this.handledRecords
+        } records handled by the interrupted run, ${recordsLeft} to go${
+          this.failedRecords.length > 0 && !progress.retryQueue
+            ? `, ${this.failedRecords.length} failed events to retry`
+            : ''
+        }`
+      )
+    }
 
     // Process initial batches
-    while (recordsToProcess.length > 0 && this.isRunning) {
+    while (recordsLeft > 0 && this.isRunning) {
       const batchStartTime = Date.now()
 
       // Take the next batch of records
-      const currentBatch = recordsToProcess.splice(0, batchSize)
+      const currentBatch = await this.takeRecords(
+        recordsToProcess,
+        Math.min(batchSize, recordsLeft)
+      )
+      recordsLeft -= currentBatch.length
 
       console.log(
         `📦 Batch ${batchIndex + 1}: Processing ${
           currentBatch.length
-        } records (${recordsToProcess.length} remaining)`
+        } records (${recordsLeft} remaining)`
       )
 
       // Send the batch
@@ -1182,9 +933,17 @@ class LinkedInCAPISender {
       this.displayProgress()
 
       batchIndex++
+      this.saveCheckpoint({
+        lastRecord: currentBatch[currentBatch.length - 1],
+        batchIndex,
+        retryQueue: null,
+      })
 
       // Rate limiting - wait between API calls if needed
-      if (recordsToProcess.length > 0 || this.failedRecords.length > 0) {
+      if (
+        this.isRunning &&
+        (recordsLeft > 0 || this.failedRecords.length > 0)
+      ) {
         const batchDuration = Date.now() - batchStartTime
         const timeToWait = Math.max(0, targetIntervalMs - batchDuration)
 
@@ -1203,27 +962,48 @@ class LinkedInCAPISender {
         console.log('')
       }
     }
+    await recordsToProcess.return()
 
-    // Retry failed records if any exist
-    if (this.failedRecords.length > 0) {
-      console.log(`\n🔄 Retrying ${this.failedRecords.length} failed events...`)
+    // Retry failed records if any exist; a run resumed during the retry pass
+    // continues with the records it had left to retry. The records are read
+    // again from the input by position, in input order
+    const retryQueue = progress && progress.retryQueue
+    let retryLeft = null // Positions of the records still to retry
+    if (this.isRunning && (retryQueue || this.failedRecords.length > 0)) {
+      if (retryQueue) {
+        retryLeft = retryQueue
+        console.log(
+          `\n🔄 Resuming the retry of ${retryLeft.length} failed events...`
+        )
+      } else {
+        console.log(
+          `\n🔄 Retrying ${this.failedRecords.length} failed events...`
+        )
 
-      // Extract just the record data for retry
-      const recordsToRetry = this.failedRecords.map((failed) => failed.record)
-      this.failedRecords = [] // Clear failed records for retry attempt
+        // Extract just the positions for retry
+        retryLeft = this.failedRecords
+          .map((failed) => failed.row)
+          .sort((a, b) => a.file - b.file || a.line - b.line)
+        this.failedRecords = [] // Clear failed records for retry attempt
+      }
 
-      let retryBatchIndex = 0
+      let retryBatchIndex = retryQueue ? progress.retryBatchIndex : 0
+      const recordsToRetry = this.recordsAt(retryLeft)
 
-      while (recordsToRetry.length > 0 && this.isRunning) {
+      while (retryLeft.length > 0 && this.isRunning) {
         const batchStartTime = Date.now()
 
         // Take the next batch of failed records
-        const retryBatch = recordsToRetry.splice(0, batchSize)
+        const retryBatch = await this.takeRecords(
+          recordsToRetry,
+          Math.min(batchSize, retryLeft.length)
+        )
+        retryLeft = retryLeft.slice(retryBatch.length)
 
         console.log(
           `🔁 Retry Batch ${retryBatchIndex + 1}: Processing ${
             retryBatch.length
-          } failed records (${recordsToRetry.length} remaining)`
+          } failed records (${retryLeft.length} remaining)`
         )
 
         // Send the retry batch
@@ -1236,9 +1016,15 @@ class LinkedInCAPISender {
         this.displayProgress()
 
         retryBatchIndex++
+        this.saveCheckpoint({
+          lastRecord: null,
+          batchIndex,
+          retryBatchIndex,
+          retryQueue: retryLeft,
+        })
 
         // Rate limiting for retries
-        if (recordsToRetry.length > 0) {
+        if (retryLeft.length > 0 && this.isRunning) {
           const batchDuration = Date.now() - batchStartTime
           const timeToWait = Math.max(0, targetIntervalMs - batchDuration)
 
@@ -1253,7 +1039,30 @@ class LinkedInCAPISender {
           console.log('')
         }
       }
+      await recordsToRetry.return()
+    }
+
+    // Records left when stopped early: unsent ones and failed events that
+    // were not retried yet
+    return (
+      recordsLeft + (retryLeft ? retryLeft.length : this.failedRecords.length)
+    )
+  }
+
+  // Take the next count records from a stream of records; the stream must
+  // still hold them
+  async takeRecords(records, count) {
+    const batch = []
+    while (batch.length < count) {
+      const { value, done } = await records.next()
+      if (done) {
+        throw new Error(
+          'The input files have fewer records than when they were read - were they changed while sending?'
+        )
+      }
+      batch.push(value)
     }
+    return batch
   }
 
   // Log API request details for debugging
@@ -1403,31 +1212,30 @@ class LinkedInCAPISender {
     }
   }
 
-  // Write log entry to file
-  async writeLogToFile(filename, logEntry) {
-    try {
-      const fs = require('fs').promises
-      const logLine = JSON.stringify(logEntry, null, 2) + '\n' + '---\n'
-      await fs.appendFile(filename, logLine)
-    } catch (err) {
-      console.log(`⚠️  Failed to write to log file ${filename}: ${err.message}`)
-    }
-  }
-
   // Save successful events to file
+  // Written one event at a time from the checkpoint's events file, as a JSON
+  // array laid out like JSON.stringify(events, null, 2)
   async saveSuccessfulEventsToFile() {
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-')
     const filename = `successful-events-${timestamp}.json`
 
     try {
       const fs = require('fs').promises
-      await fs.writeFile(
-        filename,
-        JSON.stringify(this.successfulEvents, null, 2)
-      )
-      console.log(
-        `💾 Successfully saved ${this.successfulEvents.length} events to ${filename}`
-      )
+      const file = await fs.open(filename, 'w')
+      let count = 0
+      try {
+        await file.write('[')
+        for await (const event of this.checkpoint.readEvents()) {
+          await file.write(
+            (count++ === 0 ? '\n' : ',\n') +
+              JSON.stringify(event, null, 2).replace(/^/gm, '  ')
+          )
+        }
+        await file.write(count > 0 ? '\n]' : ']')
+      } finally {
+        await file.close()
+      }
+      console.log(`💾 Successfully saved ${count} events to ${filename}`)
     } catch (error) {
       console.log(`❌ Failed to save successful events: ${error.message}`)
     }
@@ -1505,6 +1313,81 @@ class LinkedInCAPISender {
     }
   }
 
+  // Settings saved in the checkpoint: the answers to every question except
+  // the access token, so a resumed run only asks for that. Options come from
+  // the saved command line.
+  checkpointSettings() {
+    return {
+      linkedinApiVersion: this.linkedinApiVersion,
+      conversionId: this.conversionId,
+      eventsPerBatch: this.eventsPerBatch,
+      maxApiCallsPerMinute: this.maxApiCallsPerMinute,
+      ...super.checkpointSettings(),
+    }
+  }
+
+  // Use the settings of the interrupted run
+  applyCheckpointSettings(settings) {
+    this.linkedinApiVersion = settings.linkedinApiVersion
+    this.conversionId = settings.conversionId
+    this.eventsPerBatch = settings.eventsPerBatch
+    this.maxApiCallsPerMinute = settings.maxApiCallsPerMinute
+    super.applyCheckpointSettings(settings)
+  }
+
+  // Save the progress after a batch: lastRecord is the last record of the
+  // batch (null before the first), retryQueue the positions of the failed
+  // records still to retry during the retry pass, once all were sent once
+  saveCheckpoint({ lastRecord, batchIndex, retryBatchIndex = 0, retryQueue }) {
+    this.checkpoint.save({
+      nextRow: retryQueue ? null : positionAfter(this.inputFiles, lastRecord),
+      batchIndex,
+      retryBatchIndex,
+      retryQueue,
+      sentRecords: this.sentRecords,
+      successfulEvents: this.successfulEventCount,
+      failed: this.failedRecords,
+      apiStats: Object.fromEntries(this.apiStats),
+      duplicates: this.duplicates,
+      files: this.inputFiles.map(({ sent, duplicates }) => ({
+        sent,
+        duplicates,
+      })),
+    })
+  }
+
+  // Carry the totals of the interrupted run across; events past the count
+  // in the checkpoint come from a batch sent again after a crash
+  async restoreProgress(progress) {
+    this.sentRecords = progress.sentRecords
+    await this.checkpoint.keepEvents(progress.successfulEvents)
+    this.successfulEventCount = progress.successfulEvents
+    this.failedRecords = progress.failed
+    // Status codes are numbers, except "Network Error"
+    this.apiStats = new Map(
+      Object.entries(progress.apiStats).map(([status, count]) => [
+        isNaN(status) ? status : Number(status),
+        count,
+      ])
+    )
+    this.duplicates = progress.duplicates
+    this.inputFiles.forEach((file, index) => {
+      Object.assign(file, progress.files[index])
+    })
+  }
+
+  // Show sent, failed and quarantined counts per input file, counting the
+  // events still failed after the retry pass
+  displayFileBreakdown() {
+    this.inputFiles.forEach((file) => {
+      file.failed = 0
+    })
+    this.failedRecords.forEach(({ row }) => {
+      this.inputFiles[row.file].failed++
+    })
+    super.displayFileBreakdown()
+  }
+
   // Display API statistics for batch processing
   displayApiStats() {
     console.log('\n📊 API Response Statistics:')
@@ -1564,20 +1447,50 @@ class LinkedInCAPISender {
     return statusTexts[code] || 'Unknown'
   }
 
-  // Utility function to sleep
-  sleep(ms) {
-    return new Promise((resolve) => setTimeout(resolve, ms))
+  // Resume mode: continue the interrupted run with its settings, asking
+  // only for the access token
+  async runResumed() {
+    console.log(
+      `\n⏩ Resuming the run started at ${this.checkpoint.data.startedAt} (${this.checkpoint.filepath})`
+    )
+    console.log(`✅ LinkedIn API version: ${this.linkedinApiVersion}`)
+    console.log(`✅ Conversion ID: ${this.conversionId}`)
+    console.log(
+      `✅ Batches: ${this.eventsPerBatch} events, ${this.maxApiCallsPerMinute} API calls per minute`
+    )
+    this.getAccessToken()
+    this.selectInputFiles()
+    await this.parseInputFiles()
+    this.checkpoint.checkInputFiles(this.inputFiles)
+    await this.processRecords()
   }
 
   // Main execution function
-  async run() {
+  async run(argv = process.argv.slice(2)) {
     try {
+      const options = this.applyOptions(argv, cliOptions)
+      if (!options) {
+        return
+      }
+
       console.log('🔗 LinkedIn CAPI Event Sender')
       console.log('=============================')
       console.log(
         'This tool sends CSV data to LinkedIn Conversions API with rate limiting.'
       )
 
+      printPolicy(this.policy)
+      if (this.dryRun) {
+        await this.runValidation()
+        return
+      }
+      await this.logValidationPolicy('send')
+
+      if (this.resumeFrom) {
+        await this.runResumed()
+        return
+      }
+
       this.getLinkedInApiVersion()
       this.getAccessToken()
       this.getConversionId()
@@ -1629,12 +1542,10 @@ class LinkedInCAPISender {
       }
 
       this.getBatchConfigurationFromUser()
-      this.selectCsvFile()
-      this.parseCsvFile()
+      this.selectInputFiles()
+      await this.parseInputFiles()
       this.getConversionTimeConfigurationIfAvailable()
-      await this.sendAllRecords()
-
-      console.log('\n🎉 Process completed!')
+      await this.processRecords()
     } catch (error) {
       console.error('\n❌ Application error:', error.message)
       console.error('Stack trace:', error.stack)
@@ -0,0 +1,135 @@
+// Rejected-row quarantine file shared by the senders
+//
+// Every row a sender does not send - malformed rows found while parsing and
+// records that fail validation - is written to a CSV file next to the input
+// file, with its original line number and machine-readable reason codes, so
+// the rows can be fixed and fed back in. Rows keep the values of the input as
+// they were read, before emails are normalised or timestamps parsed and
+// rewritten. The quarantine columns come first and are ignored when a
+// quarantine file is used as sender input again.
+
+const fs = require('fs')
+const path = require('path')
+
+// Raw values of the row a record was parsed from, in header order without
+// the quarantine columns; written to the quarantine file instead of the
+// normalised or rewritten values
+const SOURCE_VALUES = Symbol('sourceValues')
+
+// Columns added in front of the original columns
+const QUARANTINE_COLUMNS = [
+  'quarantine_line',
+  'quarantine_reason_codes',
+  'quarantine_reasons',
+]
+
+// Reason codes written to the quarantine file
+const reasonCodes = {
+  COLUMN_COUNT_MISMATCH: 'Row has a different number of values than the header',
+  MISSING_EMAIL: 'Missing required email field',
+  INVALID_EMAIL: 'email is a placeholder or not a valid address',
+  INVALID_TIMESTAMP: 'conversionTime is not a recognised date',
+  TIMESTAMP_TOO_OLD: 'conversionTime is older than the 90-day limit',
+  TIMESTAMP_IN_FUTURE:
+    'conversionTime is in the future (beyond the tolerance, or future-dated events are skipped)',
+  // Warnings by default; quarantined when a validation policy makes them errors
+  USER_INFO_MISSING_NAME: 'User information without firstName and lastName',
+  INVALID_COUNTRY_CODE: 'countryCode is not an ISO 3166-1 country',
+  AMBIGUOUS_COUNTRY_CODE:
+    'countryCode is NA, which usually means "not available" rather than Namibia',
+  INCOMPLETE_CURRENCY: 'Only one of currencyCode and conversionValue is set',
+  INVALID_CURRENCY_CODE: 'currencyCode is not an ISO 4217 currency',
+  INACTIVE_CURRENCY_CODE:
+    'currencyCode is a withdrawn ISO 4217 currency or not a currency (XTS, XXX)',
+  INVALID_CONVERSION_VALUE: 'conversionValue is not a number >= 0',
+}
+
+// Function to quote a value for CSV output when needed
+function formatCsvField(value) {
+  const text = value === undefined || value === null ? '' : String(value)
+  if (/[",\r\n]/.test(text) || text !== text.trim()) {
+    return `"${text.replace(/"/g, '""')}"`
+  }
+  return text
+}
+
+// Function to build the quarantine file path for an input file
+// e.g. data/leads.csv.gz -> data/leads.quarantine-2025-09-01T10-00-00.csv
+function quarantinePathFor(inputPath) {
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5)
+  const name = path.basename(inputPath).replace(/\.gz$/i, '')
+  const base = path.basename(name, path.extname(name))
+  return path.join(
+    path.dirname(inputPath),
+    `${base}.quarantine-${timestamp}.csv`
+  )
+}
+
+// Function to check whether a file name is a quarantine file
+function isQuarantineFile(filename) {
+  return /\.quarantine-\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}\.csv$/.test(filename)
+}
+
+class QuarantineWriter {
+  // inputPath: file the rows come from; headers: its data column names;
+  // countOnly: count rejected rows and reasons without writing a file
+  constructor(inputPath, headers, { countOnly = false } = {}) {
+    this.filepath = quarantinePathFor(inputPath)
+    this.headers = headers
+    this.countOnly = countOnly
+    this.fd = null // Opened on the first rejected row
+    this.rowCount = 0
+    this.reasonCounts = {}
+  }
+
+  // Write a rejected row given as raw values in file order
+  // issues: [{ code, message }]
+  addRow(values, line, issues) {
+    const codes = [...new Set(issues.map((issue) => issue.code))]
+    codes.forEach((code) => {
+      this.reasonCounts[code] = (this.reasonCounts[code] || 0) + 1
+    })
+    this.rowCount++
+    if (this.countOnly) {
+      return
+    }
+
+    if (this.fd === null) {
+      this.fd = fs.openSync(this.filepath, 'w')
+      this.write([...QUARANTINE_COLUMNS, ...this.headers])
+    }
+    this.write([
+      line !== undefined ? line : '',
+      codes.join(';'),
+      issues.map((issue) => issue.message).join('; '),
+      ...values,
+    ])
+  }
+
+  // Write a rejected parsed record with the values it was read from
+  addRecord(record, line, issues) {
+    this.addRow(record[SOURCE_VALUES], line, issues)
+  }
+
+  write(values) {
+    fs.writeSync(this.fd, values.map(formatCsvField).join(',') + '\n')
+  }
+
+  // Close the file; returns its path, or null if no row was quarantined
+  close() {
+    if (this.fd === null) {
+      return null
+    }
+    fs.closeSync(this.fd)
+    this.fd = null
+    return this.filepath
+  }
+}
+
+module.exports = {
+  QuarantineWriter,
+  isQuarantineFile,
+  QUARANTINE_COLUMNS,
+  SOURCE_VALUES,
+  reasonCodes,
+}
@@ -0,0 +1,136 @@
+// "Realistic" generation profile for the data generator
+//
+// Instead of picking every column independently, a whole person is generated
+// at once so the columns agree with each other the way a CRM export would:
+// the currency follows the country, the email is built from the person's name
+// and a domain derived from the company, and the conversion value range
+// depends on the currency.
+
+const { faker } = require('@faker-js/faker')
+
+// Countries used by the realistic profile, weighted roughly by B2B volume
+const realisticCountries = [
+  { countryCode: 'US', currencyCode: 'USD', tld: 'com', weight: 30 },
+  { countryCode: 'GB', currencyCode: 'GBP', tld: 'co.uk', weight: 10 },
+  { countryCode: 'DE', currencyCode: 'EUR', tld: 'de', weight: 8 },
+  { countryCode: 'FR', currencyCode: 'EUR', tld: 'fr', weight: 6 },
+  { countryCode: 'NL', currencyCode: 'EUR', tld: 'nl', weight: 3 },
+  { countryCode: 'ES', currencyCode: 'EUR', tld: 'es', weight: 3 },
+  { countryCode: 'IT', currencyCode: 'EUR', tld: 'it', weight: 3 },
+  { countryCode: 'IE', currencyCode: 'EUR', tld: 'ie', weight: 2 },
+  { countryCode: 'CA', currencyCode: 'CAD', tld: 'ca', weight: 6 },
+  { countryCode: 'AU', currencyCode: 'AUD', tld: 'com.au', weight: 5 },
+  { countryCode: 'JP', currencyCode: 'JPY', tld: 'co.jp', weight: 5 },
+  { countryCode: 'IN', currencyCode: 'INR', tld: 'in', weight: 6 },
+  { countryCode: 'BR', currencyCode: 'BRL', tld: 'com.br', weight: 4 },
+  { countryCode: 'SG', currencyCode: 'SGD', tld: 'com.sg', weight: 3 },
+  { countryCode: 'SE', currencyCode: 'SEK', tld: 'se', weight: 2 },
+  { countryCode: 'CH', currencyCode: 'CHF', tld: 'ch', weight: 2 },
+  { countryCode: 'MX', currencyCode: 'MXN', tld: 'com.mx', weight: 2 },
+]
+
+// Conversion value ranges per currency (roughly USD 50-5,000 equivalent)
+const currencyValueRanges = {
+  USD: { min: 50, max: 5000, fractionDigits: 2 },
+  GBP: { min: 40, max: 4000, fractionDigits: 2 },
+  EUR: { min: 45, max: 4500, fractionDigits: 2 },
+  CAD: { min: 70, max: 7000, fractionDigits: 2 },
+  AUD: { min: 75, max: 7500, fractionDigits: 2 },
+  JPY: { min: 7000, max: 750000, fractionDigits: 0 },
+  INR: { min: 4000, max: 420000, fractionDigits: 2 },
+  BRL: { min: 250, max: 27000, fractionDigits: 2 },
+  SGD: { min: 65, max: 6500, fractionDigits: 2 },
+  SEK: { min: 500, max: 52000, fractionDigits: 2 },
+  CHF: { min: 45, max: 4400, fractionDigits: 2 },
+  MXN: { min: 900, max: 90000, fractionDigits: 2 },
+}
+
+// Company name words that never appear in a corporate email domain
+const companyStopWords = new Set([
+  'and',
+  'inc',
+  'llc',
+  'ltd',
+  'group',
+  'sons',
+  'the',
+])
+
+// Function to reduce a name to lowercase ASCII letters and digits
+function toAsciiSlug(value) {
+  return value
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, '')
+}
+
+// Function to derive an email domain from a company name
+// e.g. "Hartmann, Mills and Conroy" + "de" -> "hartmannmills.de"
+function companyDomain(companyName, tld) {
+  const words = companyName
+    .split(/[\s,&-]+/)
+    .map(toAsciiSlug)
+    .filter((word) => word && !companyStopWords.has(word))
+  const base = words.slice(0, 2).join('') || 'example'
+  return `${base}.${tld}`
+}
+
+// Function to build a corporate email address from a person's name
+function corporateEmail(firstName, lastName, domain) {
+  const first = toAsciiSlug(firstName) || 'contact'
+  const last = toAsciiSlug(lastName)
+  const localPart = last
+    ? faker.helpers.arrayElement([
+        `${first}.${last}`,
+        `${first[0]}${last}`,
+        `${first}_${last}`,
+        `${first}${last[0]}`,
+      ])
+    : first
+  return `${localPart}@${domain}`
+}
+
+// Function to generate a conversion value in the usual range for a currency
+function generateConversionValue(currencyCode) {
+  const range = currencyValueRanges[currencyCode]
+  return faker.number.float({
+    min: range.min,
+    max: range.max,
+    fractionDigits: range.fractionDigits,
+  })
+}
+
+// Function to generate one correlated record for the realistic profile
+// Every column is generated (even unselected ones) so the same seed always
+// consumes the same random numbers whatever fields are selected.
+function generateRealisticRecord() {
+  const country = faker.helpers.weightedArrayElement(
+    realisticCountries.map((entry) => ({ weight: entry.weight, value: entry }))
+  )
+  const firstName = faker.person.firstName()
+  const lastName = faker.person.lastName()
+  const companyName = faker.company.name()
+
+  return {
+    email: corporateEmail(
+      firstName,
+      lastName,
+      companyDomain(companyName, country.tld)
+    ),
+    firstName,
+    lastName,
+    title: faker.person.jobTitle(),
+    companyName,
+    countryCode: country.countryCode,
+    currencyCode: country.currencyCode,
+    conversionValue: generateConversionValue(country.currencyCode),
+  }
+}
+
+module.exports = {
+  generateRealisticRecord,
+  generateConversionValue,
+  realisticCountries,
+  currencyValueRanges,
+}
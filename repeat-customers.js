@@ -0,0 +1,137 @@
+// Repeat-customer generation for the data generator
+//
+// Instead of a new person on every row, rows are drawn from a fixed pool of
+// people so the same email converts several times, like opportunity stages or
+// renewals in a real backfill. A person's identity fields are fixed the first
+// time they are drawn; conversionTime and conversionValue change on every row.
+
+const { faker } = require('@faker-js/faker')
+
+// Largest supported pool (identities are kept in memory)
+const MAX_PEOPLE = 1000000
+
+// Fields that change on every conversion; all other fields belong to the person
+const conversionFields = ['conversionTime', 'conversionValue']
+
+// How rows are spread over the pool: "uniform" gives every person the same
+// chance, "skewed" follows Zipf's law so a few people convert many times and
+// most convert once or twice
+const conversionDistributions = ['uniform', 'skewed']
+
+// Zipf exponent for the skewed distribution (person n has weight 1 / n^s)
+const ZIPF_EXPONENT = 1
+
+// Function to validate the pool options
+function validatePoolOptions(people, distribution) {
+  if (!Number.isInteger(people) || people < 1 || people > MAX_PEOPLE) {
+    throw new Error(
+      `The number of people must be a whole number between 1 and ${MAX_PEOPLE}`
+    )
+  }
+  if (!conversionDistributions.includes(distribution)) {
+    throw new Error(
+      `Unknown conversion distribution "${distribution}". Available distributions: ${conversionDistributions.join(
+        ', '
+      )}`
+    )
+  }
+}
+
+class CustomerPool {
+  // people: pool size; distribution: one of conversionDistributions
+  constructor(people, distribution = 'uniform') {
+    validatePoolOptions(people, distribution)
+    this.people = people
+    this.distribution = distribution
+    this.cumulativeWeights = null // Built on first use of the skewed distribution
+    this.start()
+  }
+
+  // Reset state for a new file
+  start() {
+    this.identities = new Array(this.people)
+    this.conversionCounts = new Uint32Array(this.people)
+  }
+
+  // Function to pick the index of the person who converts on the next row
+  pickPerson() {
+    if (this.distribution === 'uniform') {
+      return faker.number.int({ min: 0, max: this.people - 1 })
+    }
+
+    if (!this.cumulativeWeights) {
+      this.cumulativeWeights = new Float64Array(this.people)
+      let total = 0
+      for (let i = 0; i < this.people; i++) {
+        total += 1 / Math.pow(i + 1, ZIPF_EXPONENT)
+        this.cumulativeWeights[i] = total
+      }
+    }
+
+    // Binary search for the first cumulative weight above the draw
+    const weights = this.cumulativeWeights
+    const target = faker.number.float({ min: 0, max: weights[this.people - 1] })
+    let low = 0
+    let high = this.people - 1
+    while (low < high) {
+      const middle = (low + high) >> 1
+      if (weights[middle] <= target) {
+        low = middle + 1
+      } else {
+        high = middle
+      }
+    }
+    return low
+  }
+
+  // Function to give a freshly generated record the identity of a pool person
+  // The first row of a person fixes their identity from the record itself;
+  // later rows overwrite the record's identity fields with the stored ones.
+  // currencyCode is the person's currency when known, even if that column is
+  // not selected. Returns { currencyCode, isRepeat } (mutates the record).
+  assignPerson(record, currencyCode) {
+    const index = this.pickPerson()
+    this.conversionCounts[index]++
+
+    const person = this.identities[index]
+    if (!person) {
+      const fields = {}
+      Object.keys(record).forEach((field) => {
+        if (!conversionFields.includes(field)) {
+          fields[field] = record[field]
+        }
+      })
+      this.identities[index] = { fields, currencyCode }
+      return { currencyCode, isRepeat: false }
+    }
+
+    Object.assign(record, person.fields)
+    return { currencyCode: person.currencyCode, isRepeat: true }
+  }
+
+  // Function to summarise how conversions were spread over the pool
+  getStats() {
+    let convertedPeople = 0
+    let repeatPeople = 0
+    let maxConversions = 0
+    this.conversionCounts.forEach((count) => {
+      if (count > 0) convertedPeople++
+      if (count > 1) repeatPeople++
+      if (count > maxConversions) maxConversions = count
+    })
+    return {
+      people: this.people,
+      distribution: this.distribution,
+      convertedPeople,
+      repeatPeople,
+      maxConversions,
+    }
+  }
+}
+
+module.exports = {
+  CustomerPool,
+  conversionDistributions,
+  conversionFields,
+  MAX_PEOPLE,
+}
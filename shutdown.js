@@ -0,0 +1,50 @@
+// Graceful shutdown shared by the senders
+//
+// While sending, the first SIGINT (Ctrl-C) or SIGTERM asks the sender to stop
+// after the request or batch in flight, so the summary, the checkpoint, the
+// logs and the output files are still written. A second signal exits
+// immediately. A run stopped this way exits with the usual code for the
+// signal (130 for SIGINT, 143 for SIGTERM) and can be continued with --resume.
+
+const exitCodes = { SIGINT: 130, SIGTERM: 143 }
+
+class GracefulShutdown {
+  // inFlight: what is finished before stopping ("request", "batch");
+  // onStop: called on the first signal
+  constructor(inFlight, onStop) {
+    this.inFlight = inFlight
+    this.onStop = onStop
+    this.signal = null // First signal received
+    this.handler = (signal) => this.handle(signal)
+  }
+
+  // Start listening for signals
+  install() {
+    Object.keys(exitCodes).forEach((signal) => process.on(signal, this.handler))
+  }
+
+  // Stop listening; a stopped run exits with the code of its signal
+  uninstall() {
+    Object.keys(exitCodes).forEach((signal) =>
+      process.removeListener(signal, this.handler)
+    )
+    if (this.signal) {
+      process.exitCode = exitCodes[this.signal]
+    }
+  }
+
+  // Ask the sender to stop on the first signal; exit on the second
+  handle(signal) {
+    if (this.signal) {
+      console.log(`\n🛑 ${signal} received again - exiting immediately`)
+      process.exit(exitCodes[signal])
+    }
+    this.signal = signal
+    console.log(
+      `\n🛑 ${signal} received - finishing the ${this.inFlight} in flight, then writing the summary (press Ctrl-C again to exit immediately)`
+    )
+    this.onStop()
+  }
+}
+
+module.exports = { GracefulShutdown }
@@ -0,0 +1,170 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const {
+  WINDOW_DAYS,
+  getOldTimestampStrategy,
+  getFutureTimestampStrategy,
+  checkMarginHours,
+  checkFutureHours,
+  isOlderThanWindow,
+  OldTimestampRewriter,
+  FutureTimestampRewriter,
+  countFutureDated,
+  formatFutureDated,
+} = require('../conversion-window')
+
+const HOUR_MS = 60 * 60 * 1000
+const DAY_MS = 24 * HOUR_MS
+const now = Date.UTC(2025, 6, 24, 12)
+const windowStart = now - WINDOW_DAYS * DAY_MS + 24 * HOUR_MS
+
+// Function to plan a rewriter for timestamps and rewrite them
+function rewriteAll(rewriter, timestamps) {
+  rewriter.plan(timestamps)
+  return timestamps.map((timestamp) => rewriter.rewrite(timestamp))
+}
+
+test('tells whether a timestamp is older than the window', () => {
+  assert.strictEqual(isOlderThanWindow(now - 91 * DAY_MS, now), true)
+  assert.strictEqual(isOlderThanWindow(now - 89 * DAY_MS, now), false)
+})
+
+test('rejects unknown strategies and out-of-range hours', () => {
+  assert.strictEqual(getOldTimestampStrategy('shift'), 'shift')
+  assert.throws(() => getOldTimestampStrategy('drop'), /Unknown old-timestamp/)
+  assert.throws(() => getFutureTimestampStrategy('reset'), /Unknown future/)
+  assert.throws(() => checkMarginHours(WINDOW_DAYS * 24), /between 0 and/)
+  assert.throws(() => checkMarginHours(-1), /between 0 and/)
+  assert.throws(() => checkFutureHours('Future tolerance', NaN), />= 0/)
+})
+
+test('reset moves only old timestamps to now', () => {
+  const recent = now - DAY_MS
+  const rewriter = new OldTimestampRewriter('reset', { now })
+  assert.deepStrictEqual(rewriteAll(rewriter, [now - 200 * DAY_MS, recent]), [
+    now,
+    recent,
+  ])
+})
+
+test('clamp moves old timestamps to the start of the window', () => {
+  const recent = now - DAY_MS
+  const rewriter = new OldTimestampRewriter('clamp', { now })
+  assert.deepStrictEqual(rewriteAll(rewriter, [now - 200 * DAY_MS, recent]), [
+    windowStart,
+    recent,
+  ])
+})
+
+test('shift keeps the spacing between events', () => {
+  const timestamps = [now - 200 * DAY_MS, now - 150 * DAY_MS]
+  const rewriter = new OldTimestampRewriter('shift', { now })
+  const [first, second] = rewriteAll(rewriter, timestamps)
+  assert.strictEqual(first, windowStart)
+  assert.strictEqual(second - first, 50 * DAY_MS)
+})
+
+test('shift never moves events past now', () => {
+  const timestamps = [now - 200 * DAY_MS, now - 10 * DAY_MS]
+  const rewriter = new OldTimestampRewriter('shift', { now })
+  assert.deepStrictEqual(rewriteAll(rewriter, timestamps), [
+    now - 190 * DAY_MS,
+    now,
+  ])
+})
+
+test('compress maps the range onto the window, keeping the latest event', () => {
+  const latest = now - 10 * DAY_MS
+  const timestamps = [now - 400 * DAY_MS, now - 205 * DAY_MS, latest]
+  const rewriter = new OldTimestampRewriter('compress', { now })
+  assert.deepStrictEqual(rewriteAll(rewriter, timestamps), [
+    windowStart,
+    Math.round(windowStart + (latest - windowStart) / 2),
+    latest,
+  ])
+})
+
+test('compress ends at now when every event is old', () => {
+  const rewriter = new OldTimestampRewriter('compress', { now, marginHours: 0 })
+  const rewritten = rewriteAll(rewriter, [
+    now - 300 * DAY_MS,
+    now - 100 * DAY_MS,
+  ])
+  assert.deepStrictEqual(rewritten, [now - WINDOW_DAYS * DAY_MS, now])
+})
+
+test('old-timestamp plans leave future timestamps out', () => {
+  const future = now + HOUR_MS
+  const rewriter = new OldTimestampRewriter('shift', { now })
+  rewriter.plan([now - 100 * DAY_MS, future])
+  assert.strictEqual(rewriter.latest, now - 100 * DAY_MS)
+  assert.strictEqual(rewriter.rewrite(future), future)
+})
+
+test('observing timestamps one by one plans like plan()', () => {
+  const timestamps = [now - 50 * DAY_MS, now - 300 * DAY_MS, now - 120 * DAY_MS]
+  const planned = new OldTimestampRewriter('compress', { now })
+  planned.plan(timestamps)
+  const observed = new OldTimestampRewriter('compress', { now })
+  timestamps.forEach((timestamp) => observed.observe(timestamp))
+  observed.completePlan()
+  timestamps.forEach((timestamp) =>
+    assert.strictEqual(observed.rewrite(timestamp), planned.rewrite(timestamp))
+  )
+})
+
+test('future clamp sets timestamps within the tolerance to now', () => {
+  const rewriter = new FutureTimestampRewriter('clamp', { now })
+  const beyond = now + 20 * HOUR_MS
+  assert.deepStrictEqual(
+    rewriteAll(rewriter, [now - HOUR_MS, now + 5 * HOUR_MS, beyond]),
+    [now - HOUR_MS, now, beyond]
+  )
+})
+
+test('future shift defaults to the largest skew, rounded up', () => {
+  const rewriter = new FutureTimestampRewriter('shift', { now })
+  const rewritten = rewriteAll(rewriter, [
+    now + 2.5 * HOUR_MS,
+    now + 1 * HOUR_MS,
+  ])
+  assert.strictEqual(rewriter.offsetHours, 3)
+  assert.deepStrictEqual(rewritten, [now - 0.5 * HOUR_MS, now - 2 * HOUR_MS])
+})
+
+test('future shift keeps an offset that was given', () => {
+  const rewriter = new FutureTimestampRewriter('shift', { now, offsetHours: 5 })
+  assert.deepStrictEqual(rewriteAll(rewriter, [now + 2 * HOUR_MS]), [
+    now - 3 * HOUR_MS,
+  ])
+})
+
+test('counts and describes future-dated timestamps', () => {
+  const rewriter = new FutureTimestampRewriter('shift', {
+    now,
+    toleranceHours: 2,
+  })
+  ;[
+    now - HOUR_MS,
+    now + HOUR_MS,
+    now + 1.5 * HOUR_MS,
+    now + 30 * HOUR_MS,
+  ].forEach((timestamp) => rewriter.observe(timestamp))
+  rewriter.completePlan()
+
+  const counts = countFutureDated(rewriter)
+  assert.deepStrictEqual(counts, {
+    total: 3,
+    withinTolerance: 2,
+    beyondTolerance: 1,
+    maxHoursAhead: 30,
+    strategy: 'shift',
+    toleranceHours: 2,
+    offsetHours: 2,
+  })
+  assert.deepStrictEqual(formatFutureDated(counts), [
+    '🔮 Future-dated events: 3 (up to 30 hours ahead)',
+    '   • 2 within the 2-hour tolerance: moved back 2 hours',
+    '   • 1 beyond the tolerance: skipped',
+  ])
+})
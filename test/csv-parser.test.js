@@ -0,0 +1,119 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const { CsvParser } = require('../csv-parser')
+
+// Function to parse text fed in the given chunks, returning all rows
+function parse(...chunks) {
+  const parser = new CsvParser()
+  const rows = chunks.flatMap((chunk) => parser.push(chunk))
+  return rows.concat(parser.end())
+}
+
+test('splits rows and fields', () => {
+  assert.deepStrictEqual(parse('a,b,c\n1,2,3\n'), [
+    { values: ['a', 'b', 'c'], line: 1 },
+    { values: ['1', '2', '3'], line: 2 },
+  ])
+})
+
+test('returns the last row without a trailing line break', () => {
+  assert.deepStrictEqual(parse('a,b\n1,2'), [
+    { values: ['a', 'b'], line: 1 },
+    { values: ['1', '2'], line: 2 },
+  ])
+})
+
+test('keeps empty fields', () => {
+  assert.deepStrictEqual(parse(',x,\n'), [{ values: ['', 'x', ''], line: 1 }])
+})
+
+test('skips blank lines but counts them', () => {
+  assert.deepStrictEqual(parse('a\n\n\nb\n'), [
+    { values: ['a'], line: 1 },
+    { values: ['b'], line: 4 },
+  ])
+})
+
+test('handles quoted fields with delimiters', () => {
+  assert.deepStrictEqual(parse('"Doe, Jane",x\n'), [
+    { values: ['Doe, Jane', 'x'], line: 1 },
+  ])
+})
+
+test('unescapes doubled quotes once', () => {
+  assert.deepStrictEqual(parse('"say ""hi""","""Acme"""\n'), [
+    { values: ['say "hi"', '"Acme"'], line: 1 },
+  ])
+})
+
+test('keeps quotes in the middle of an unquoted field', () => {
+  assert.deepStrictEqual(parse('5" screen,x\n'), [
+    { values: ['5" screen', 'x'], line: 1 },
+  ])
+})
+
+test('keeps an empty quoted field as a row', () => {
+  assert.deepStrictEqual(parse('""\n'), [{ values: [''], line: 1 }])
+})
+
+test('handles line breaks inside quoted fields', () => {
+  assert.deepStrictEqual(parse('a,"line 1\nline 2\nline 3"\nb,c\n'), [
+    { values: ['a', 'line 1\nline 2\nline 3'], line: 1 },
+    { values: ['b', 'c'], line: 4 },
+  ])
+})
+
+test('handles CRLF line endings', () => {
+  assert.deepStrictEqual(parse('a,b\r\n1,"x\r\ny"\r\n2,3\r\n'), [
+    { values: ['a', 'b'], line: 1 },
+    { values: ['1', 'x\r\ny'], line: 2 },
+    { values: ['2', '3'], line: 4 },
+  ])
+})
+
+test('handles CR-only line endings between rows', () => {
+  assert.deepStrictEqual(parse('a\rb\r'), [
+    { values: ['a'], line: 1 },
+    { values: ['b'], line: 2 },
+  ])
+})
+
+test('strips a UTF-8 byte order mark before a quoted header', () => {
+  assert.deepStrictEqual(parse('\uFEFF"email","name"\nx,y\n'), [
+    { values: ['email', 'name'], line: 1 },
+    { values: ['x', 'y'], line: 2 },
+  ])
+})
+
+test('keeps a byte order mark that is not at the start', () => {
+  assert.deepStrictEqual(parse('a\n', '\uFEFFb\n'), [
+    { values: ['a'], line: 1 },
+    { values: ['\uFEFFb'], line: 2 },
+  ])
+})
+
+test('gives the same rows whatever the chunk boundaries', () => {
+  const text = '\uFEFF"a","b ""c"""\r\n"1\r\n2",3\r\nx,y'
+  const expected = parse(text)
+  for (let size = 1; size < text.length; size++) {
+    const chunks = []
+    for (let i = 0; i < text.length; i += size) {
+      chunks.push(text.slice(i, i + size))
+    }
+    assert.deepStrictEqual(parse(...chunks), expected, `chunk size ${size}`)
+  }
+})
+
+test('uses a custom delimiter', () => {
+  const parser = new CsvParser({ delimiter: ';' })
+  assert.deepStrictEqual(parser.push('a;"b;c",d\n'), [
+    { values: ['a', 'b;c,d'], line: 1 },
+  ])
+})
+
+test('rejects an unterminated quoted field', () => {
+  assert.throws(
+    () => parse('a\n"b\nc'),
+    /Unterminated quoted field in the row starting on line 2/
+  )
+})
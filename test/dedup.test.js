@@ -0,0 +1,186 @@
+const { test, after } = require('node:test')
+const assert = require('node:assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { SOURCE_LINE } = require('../csv-parser')
+const { SOURCE_FILE } = require('../input-reader')
+const {
+  DEDUP_KEY,
+  parseDedupKey,
+  formatDedupKey,
+  SentLedger,
+  Deduplicator,
+} = require('../dedup')
+
+const HOUR_MS = 60 * 60 * 1000
+const file = { name: 'leads.csv' }
+
+// Ledgers are written to a directory removed after the tests
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dedup-test-'))
+let ledgers = 0
+after(() => fs.rmSync(dir, { recursive: true, force: true }))
+
+// Function to get the path of a new, empty ledger
+function ledgerPath() {
+  ledgers++
+  return path.join(dir, `sent-events-${ledgers}.ledger`)
+}
+
+// Function to build a record read from a row of leads.csv
+function record(line, values) {
+  return { ...values, [SOURCE_FILE]: file, [SOURCE_LINE]: line }
+}
+
+// Function to create a deduplicator with an empty ledger
+function deduplicator(components) {
+  return new Deduplicator(components, ledgerPath())
+}
+
+const options = { conversion: '123', useConversionTime: true }
+
+test('parses and formats dedup key components', () => {
+  const components = parseDedupKey(['email', 'time:90m', 'opportunityId'])
+  assert.deepStrictEqual(components, [
+    { name: 'email', bucketMs: null },
+    { name: 'time', bucketMs: 90 * 60 * 1000 },
+    { name: 'opportunityId', bucketMs: null },
+  ])
+  assert.strictEqual(
+    formatDedupKey(components),
+    'email, time:90m, opportunityId'
+  )
+  assert.strictEqual(formatDedupKey(parseDedupKey(['time:48h'])), 'time:2d')
+})
+
+test('rejects invalid dedup keys', () => {
+  assert.throws(() => parseDedupKey([]), /at least one component/)
+  assert.throws(() => parseDedupKey(['email', 'email']), /given twice/)
+  assert.throws(() => parseDedupKey(['email:1h']), /Only time takes a bucket/)
+  assert.throws(() => parseDedupKey(['time:0h']), /Only time takes a bucket/)
+  assert.throws(() => parseDedupKey(['time:1w']), /Only time takes a bucket/)
+})
+
+test('drops records whose key repeats, pointing at the first one', () => {
+  const dedup = deduplicator()
+  const time = Date.UTC(2025, 6, 24, 10)
+  const first = record(2, { email: 'Jane@Acme.com', conversionTime: `${time}` })
+  const sameHour = record(3, {
+    email: ' jane@acme.com',
+    conversionTime: `${time + 30 * 60 * 1000}`,
+  })
+  const nextHour = record(4, {
+    email: 'jane@acme.com',
+    conversionTime: `${time + HOUR_MS}`,
+  })
+
+  const { unique, inInput, alreadySent } = dedup.filter(
+    [first, sameHour, nextHour],
+    options
+  )
+  assert.deepStrictEqual(unique, [first, nextHour])
+  assert.strictEqual(inInput.length, 1)
+  assert.strictEqual(inInput[0].record, sameHour)
+  assert.strictEqual(inInput[0].duplicateOf[SOURCE_LINE], 2)
+  assert.strictEqual(inInput[0].duplicateOf[SOURCE_FILE], file)
+  assert.deepStrictEqual(alreadySent, [])
+  assert.ok(first[DEDUP_KEY])
+  assert.notStrictEqual(first[DEDUP_KEY], nextHour[DEDUP_KEY])
+})
+
+test('tells conversions apart', () => {
+  const dedup = deduplicator()
+  const values = { email: 'jane@acme.com', conversionTime: '1721815200000' }
+  const a = dedup.keyOf(values, options)
+  const b = dedup.keyOf(values, { ...options, conversion: '456' })
+  assert.notStrictEqual(a, b)
+})
+
+test('uses the row position for time when conversionTime is not used', () => {
+  const dedup = deduplicator()
+  const withoutTime = { conversion: '123', useConversionTime: false }
+  const records = [
+    record(2, { email: 'jane@acme.com' }),
+    record(3, { email: 'jane@acme.com' }),
+  ]
+  assert.strictEqual(dedup.usesRowPosition(false), true)
+  assert.strictEqual(dedup.usesRowPosition(true), false)
+  assert.strictEqual(dedup.filter(records, withoutTime).unique.length, 2)
+
+  // The same row read again, e.g. the same export, is still a duplicate
+  const again = dedup.filter([records[0], records[0]], withoutTime)
+  assert.strictEqual(again.inInput.length, 1)
+})
+
+test('matches rows whatever their time with a key without time', () => {
+  const dedup = deduplicator(['email', 'opportunityId'])
+  const { unique, inInput } = dedup.filter(
+    [
+      record(2, { email: 'jane@acme.com', opportunityId: '7' }),
+      record(3, { email: 'jane@acme.com', opportunityId: ' 7 ' }),
+      record(4, { email: 'jane@acme.com', opportunityId: '8' }),
+    ],
+    { conversion: '123', useConversionTime: false }
+  )
+  assert.deepStrictEqual(
+    unique.map((row) => row[SOURCE_LINE]),
+    [2, 4]
+  )
+  assert.strictEqual(inInput[0].duplicateOf[SOURCE_LINE], 2)
+})
+
+test('finds duplicates across chunks sharing a seen map', () => {
+  const dedup = deduplicator()
+  const seen = new Map()
+  const values = { email: 'jane@acme.com', conversionTime: '1721815200000' }
+
+  const first = dedup.filter([record(2, values)], { ...options, seen })
+  const second = dedup.filter([record(9, values)], { ...options, seen })
+  assert.strictEqual(first.unique.length, 1)
+  assert.strictEqual(second.unique.length, 0)
+  assert.strictEqual(second.inInput[0].duplicateOf[SOURCE_LINE], 2)
+  // Only the position of the first record is kept, not the record itself
+  assert.deepStrictEqual(Object.keys(seen.values().next().value), [])
+})
+
+test('keeps records already handled while their keys still count', () => {
+  const dedup = deduplicator()
+  const values = { email: 'jane@acme.com', conversionTime: '1721815200000' }
+  const handledRecord = record(2, values)
+  const { unique, inInput } = dedup.filter([handledRecord, record(3, values)], {
+    ...options,
+    handled: (row) => row === handledRecord,
+  })
+  assert.deepStrictEqual(unique, [handledRecord])
+  assert.strictEqual(handledRecord[DEDUP_KEY], undefined)
+  assert.strictEqual(inInput[0].duplicateOf[SOURCE_LINE], 2)
+})
+
+test('drops events recorded in the ledger unless told not to', () => {
+  const dedup = deduplicator()
+  const values = { email: 'jane@acme.com', conversionTime: '1721815200000' }
+  const sent = dedup.filter([record(2, values)], options).unique
+  dedup.recordSent(sent)
+
+  const again = dedup.filter([record(2, values)], options)
+  assert.strictEqual(again.unique.length, 0)
+  assert.strictEqual(again.alreadySent.length, 1)
+
+  const ignored = dedup.filter([record(2, values)], {
+    ...options,
+    checkLedger: false,
+  })
+  assert.strictEqual(ignored.unique.length, 1)
+})
+
+test('stores ledger keys across instances without duplicates', () => {
+  const filepath = ledgerPath()
+  const ledger = new SentLedger(filepath)
+  ledger.add(['a', 'b'])
+  ledger.add(['b', 'c'])
+  assert.strictEqual(fs.readFileSync(filepath, 'utf8'), 'a\nb\nc\n')
+
+  const reloaded = new SentLedger(filepath)
+  assert.strictEqual(reloaded.has('c'), true)
+  assert.strictEqual(reloaded.has('d'), false)
+})
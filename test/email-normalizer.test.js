@@ -0,0 +1,60 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const { normalizeEmail, validateEmail } = require('../email-normalizer')
+
+test('trims and lowercases addresses', () => {
+  assert.strictEqual(
+    normalizeEmail('  Jane.Doe@ACME.com \t'),
+    'jane.doe@acme.com'
+  )
+})
+
+test('removes zero-width characters', () => {
+  assert.strictEqual(
+    normalizeEmail('\u200Bjane@acme.com\uFEFF'),
+    'jane@acme.com'
+  )
+})
+
+test('removes mailto: prefixes and their parameters', () => {
+  assert.strictEqual(
+    normalizeEmail('MAILTO:jane@acme.com?subject=Hi'),
+    'jane@acme.com'
+  )
+})
+
+test('takes the address out of "Name <address>"', () => {
+  assert.strictEqual(
+    normalizeEmail('Jane Doe <Jane@Acme.com>'),
+    'jane@acme.com'
+  )
+  assert.strictEqual(normalizeEmail('<jane@acme.com>'), 'jane@acme.com')
+})
+
+test('accepts valid addresses', () => {
+  ;['jane@acme.com', "o'brien+crm@mail.acme.co.uk", 'a.b-c@x-y.io'].forEach(
+    (email) => assert.strictEqual(validateEmail(email), null, email)
+  )
+})
+
+test('rejects placeholders', () => {
+  assert.match(validateEmail('n/a'), /is a placeholder/)
+  assert.match(validateEmail('noreply@acme.com'), /is a placeholder/)
+})
+
+test('rejects invalid syntax with the reason', () => {
+  assert.match(validateEmail('jane.acme.com'), /has no @/)
+  assert.match(validateEmail('jane@doe@acme.com'), /more than one @/)
+  assert.match(validateEmail('@acme.com'), /nothing before the @/)
+  assert.match(validateEmail('jane..doe@acme.com'), /invalid part before/)
+  assert.match(validateEmail('jane@acme'), /invalid domain "acme"/)
+  assert.match(validateEmail('jane@acme.c0m'), /invalid domain/)
+})
+
+test('rejects addresses over the RFC 5321 length limits', () => {
+  assert.match(validateEmail(`${'a'.repeat(65)}@acme.com`), /invalid part/)
+  assert.match(
+    validateEmail(`jane@${'a'.repeat(250)}.com`),
+    /longer than 254 characters/
+  )
+})
@@ -0,0 +1,58 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const {
+  resolveCountryCode,
+  isAmbiguousCountryCode,
+  resolveCurrencyCode,
+  findInactiveCurrency,
+} = require('../iso-codes')
+
+test('resolves country codes, names and aliases to alpha-2 codes', () => {
+  assert.strictEqual(resolveCountryCode('de'), 'DE')
+  assert.strictEqual(resolveCountryCode('DEU'), 'DE')
+  assert.strictEqual(resolveCountryCode('Germany'), 'DE')
+  assert.strictEqual(resolveCountryCode(' united states '), 'US')
+  assert.strictEqual(resolveCountryCode('UK'), 'GB')
+  assert.strictEqual(resolveCountryCode('Namibia'), 'NA')
+})
+
+test('returns null for unknown countries', () => {
+  assert.strictEqual(resolveCountryCode('Atlantis'), null)
+  assert.strictEqual(resolveCountryCode(''), null)
+})
+
+test('treats NA as a placeholder, not Namibia', () => {
+  assert.strictEqual(isAmbiguousCountryCode(' na '), true)
+  assert.strictEqual(isAmbiguousCountryCode('NAM'), false)
+  assert.strictEqual(resolveCountryCode('NA'), null)
+})
+
+test('resolves currency codes, names, aliases, plurals and symbols', () => {
+  assert.strictEqual(resolveCurrencyCode('usd'), 'USD')
+  assert.strictEqual(resolveCurrencyCode('US Dollar'), 'USD')
+  assert.strictEqual(resolveCurrencyCode('Sterling'), 'GBP')
+  assert.strictEqual(resolveCurrencyCode('Euros'), 'EUR')
+  assert.strictEqual(resolveCurrencyCode('€'), 'EUR')
+  assert.strictEqual(resolveCurrencyCode('C$'), 'CAD')
+})
+
+test('does not resolve withdrawn or non-currency codes', () => {
+  assert.strictEqual(resolveCurrencyCode('HRK'), null)
+  assert.strictEqual(resolveCurrencyCode('XXX'), null)
+  assert.strictEqual(resolveCurrencyCode('Doubloon'), null)
+})
+
+test('finds withdrawn and non-currency codes by code or name', () => {
+  assert.deepStrictEqual(findInactiveCurrency('hrk'), {
+    code: 'HRK',
+    name: 'Kuna',
+    withdrawn: true,
+  })
+  assert.deepStrictEqual(findInactiveCurrency('Bulgarian Lev'), {
+    code: 'BGN',
+    name: 'Bulgarian Lev',
+    withdrawn: true,
+  })
+  assert.strictEqual(findInactiveCurrency('XTS').withdrawn, false)
+  assert.strictEqual(findInactiveCurrency('USD'), null)
+})
@@ -0,0 +1,110 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const { TimestampParser } = require('../timestamp-parser')
+
+const utc = new TimestampParser()
+
+test('tells epoch seconds and milliseconds apart', () => {
+  assert.deepStrictEqual(utc.parse('1721854800'), {
+    epoch: 1721854800000,
+    format: 'epoch seconds',
+  })
+  assert.deepStrictEqual(utc.parse('1721854800123'), {
+    epoch: 1721854800123,
+    format: 'epoch milliseconds',
+  })
+  assert.strictEqual(utc.parse('1721854800.5').epoch, 1721854800500)
+})
+
+test('parses ISO-8601 with Z or an offset', () => {
+  const expected = Date.UTC(2025, 6, 24, 20, 44, 52)
+  assert.deepStrictEqual(utc.parse('2025-07-24T20:44:52Z'), {
+    epoch: expected,
+    format: 'ISO-8601',
+  })
+  assert.strictEqual(utc.parse('2025-07-24T22:44:52+02:00').epoch, expected)
+  assert.strictEqual(utc.parse('2025-07-24T22:44:52+0200').epoch, expected)
+  assert.strictEqual(utc.parse('2025-07-24T22:44:52+02').epoch, expected)
+  assert.strictEqual(utc.parse('2025-07-24T15:44:52-05:00').epoch, expected)
+})
+
+test('parses fractional seconds', () => {
+  assert.strictEqual(
+    utc.parse('2025-07-24T20:44:52.123456Z').epoch,
+    Date.UTC(2025, 6, 24, 20, 44, 52, 123)
+  )
+})
+
+test('parses date-only values as midnight', () => {
+  assert.deepStrictEqual(utc.parse('2025-07-24'), {
+    epoch: Date.UTC(2025, 6, 24),
+    format: 'date only',
+  })
+})
+
+test('parses SFDC date times', () => {
+  assert.deepStrictEqual(utc.parse('2025-07-24 20:44:52'), {
+    epoch: Date.UTC(2025, 6, 24, 20, 44, 52),
+    format: 'SFDC date time',
+  })
+})
+
+test('parses US dates with and without AM/PM', () => {
+  assert.deepStrictEqual(utc.parse('07/24/2025'), {
+    epoch: Date.UTC(2025, 6, 24),
+    format: 'US date',
+  })
+  assert.strictEqual(
+    utc.parse('7/24/2025 8:44 PM').epoch,
+    Date.UTC(2025, 6, 24, 20, 44)
+  )
+  assert.strictEqual(
+    utc.parse('7/24/2025, 12:05:09 AM').epoch,
+    Date.UTC(2025, 6, 24, 0, 5, 9)
+  )
+  assert.strictEqual(
+    utc.parse('7/24/2025 12:05 PM').epoch,
+    Date.UTC(2025, 6, 24, 12, 5)
+  )
+})
+
+test('returns null for values that are not dates', () => {
+  ;['', '   ', 'yesterday', '2025-13-01', '2025-02-30', '24/07/2025'].forEach(
+    (value) => assert.strictEqual(utc.parse(value), null, value)
+  )
+  assert.strictEqual(utc.parse('7/24/2025 13:00 PM'), null)
+  assert.strictEqual(utc.parse('2025-07-24T25:00:00Z'), null)
+  assert.strictEqual(utc.parse('2025-07-24T10:00:00+15:00'), null)
+})
+
+test('reads values without a zone in a fixed-offset default timezone', () => {
+  const parser = new TimestampParser('+05:30')
+  assert.strictEqual(
+    parser.parse('2025-07-24 12:00:00').epoch,
+    Date.UTC(2025, 6, 24, 6, 30)
+  )
+  // Values with their own zone ignore the default
+  assert.strictEqual(
+    parser.parse('2025-07-24T12:00:00Z').epoch,
+    Date.UTC(2025, 6, 24, 12)
+  )
+})
+
+test('reads values without a zone in an IANA timezone, across DST', () => {
+  const parser = new TimestampParser('America/New_York')
+  assert.strictEqual(
+    parser.parse('2025-07-24 12:00:00').epoch,
+    Date.UTC(2025, 6, 24, 16)
+  )
+  assert.strictEqual(
+    parser.parse('2025-01-24 12:00:00').epoch,
+    Date.UTC(2025, 0, 24, 17)
+  )
+})
+
+test('rejects an unknown timezone', () => {
+  assert.throws(
+    () => new TimestampParser('Mars/Olympus_Mons'),
+    /Unknown timezone "Mars\/Olympus_Mons"/
+  )
+})
@@ -0,0 +1,218 @@
+// conversionTime generation for the data generator
+//
+// Picks a conversion timestamp inside a configurable date range using one of
+// several distribution shapes, and formats it as epoch milliseconds or
+// ISO-8601. All randomness goes through faker so seeded runs stay
+// reproducible. Calendar logic (weekdays, business hours, spike dates) uses UTC.
+
+const { faker } = require('@faker-js/faker')
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// Supported distribution shapes
+const timeDistributions = ['uniform', 'business-hours', 'decay', 'spikes']
+
+// Supported output formats
+const timeFormats = ['epoch', 'iso']
+
+// Share of events that land on spike dates; the rest are spread uniformly
+const SPIKE_SHARE = 0.8
+
+// Business hours (UTC) used by the business-hours distribution
+const BUSINESS_START_HOUR = 9
+const BUSINESS_END_HOUR = 18
+
+// Attempts before giving up on finding a weekday business-hours slot
+const MAX_SAMPLE_ATTEMPTS = 1000
+
+// Function to parse a range boundary relative to the reference "now"
+// Accepts "180d" (days before now), epoch milliseconds or an ISO-8601 date
+function parseTimeBoundary(value, now) {
+  if (typeof value === 'number') {
+    return value
+  }
+
+  const relative = /^(\d+)d$/.exec(value)
+  if (relative) {
+    return now - parseInt(relative[1]) * DAY_MS
+  }
+
+  const epoch = /^\d+$/.test(value) ? Number(value) : Date.parse(value)
+  if (isNaN(epoch)) {
+    throw new Error(
+      `Invalid date "${value}" - use a relative value (e.g., 180d), ISO-8601 or epoch milliseconds`
+    )
+  }
+  return epoch
+}
+
+// Function to parse a spike date (YYYY-MM-DD) to the start of that UTC day
+function parseSpikeDate(value) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || isNaN(Date.parse(value))) {
+    throw new Error(`Invalid spike date "${value}" - use YYYY-MM-DD`)
+  }
+  return Date.parse(`${value}T00:00:00Z`)
+}
+
+// Function to validate conversionTime options and resolve them to timestamps
+// Options: timeFrom, timeTo   - range boundaries (default: 90d to now)
+//          timeDistribution   - one of timeDistributions (default: uniform)
+//          spikeDates         - YYYY-MM-DD dates for the spikes distribution
+//          halfLifeDays       - half-life for the decay distribution (default 14)
+//          timeFormat         - 'epoch' (default) or 'iso'
+function resolveTimeOptions(options, now) {
+  const from = parseTimeBoundary(
+    options.timeFrom !== undefined ? options.timeFrom : '90d',
+    now
+  )
+  const to = parseTimeBoundary(
+    options.timeTo !== undefined ? options.timeTo : now,
+    now
+  )
+  if (from >= to) {
+    throw new Error('conversionTime range start must be before its end')
+  }
+
+  const distribution = options.timeDistribution || 'uniform'
+  if (!timeDistributions.includes(distribution)) {
+    throw new Error(
+      `Unknown time distribution "${distribution}". Available distributions: ${timeDistributions.join(
+        ', '
+      )}`
+    )
+  }
+
+  const format = options.timeFormat || 'epoch'
+  if (!timeFormats.includes(format)) {
+    throw new Error(
+      `Unknown time format "${format}". Available formats: ${timeFormats.join(
+        ', '
+      )}`
+    )
+  }
+
+  const halfLifeDays =
+    options.halfLifeDays !== undefined ? options.halfLifeDays : 14
+  if (!(halfLifeDays > 0)) {
+    throw new Error('Decay half-life must be a positive number of days')
+  }
+
+  // Keep only the part of each spike day that falls inside the range
+  const spikes = (options.spikeDates || []).map((date) => {
+    const start = parseSpikeDate(date)
+    const spike = {
+      date,
+      from: Math.max(start, from),
+      to: Math.min(start + DAY_MS - 1, to),
+    }
+    if (spike.from > spike.to) {
+      throw new Error(`Spike date ${date} is outside the conversionTime range`)
+    }
+    return spike
+  })
+  if (distribution === 'spikes' && spikes.length === 0) {
+    throw new Error('The spikes distribution needs at least one spike date')
+  }
+
+  if (distribution === 'business-hours' && !hasWeekday(from, to)) {
+    throw new Error(
+      'The business-hours distribution needs a range that includes a weekday'
+    )
+  }
+
+  return { from, to, distribution, spikes, halfLifeDays, format }
+}
+
+// Function to check whether a range contains at least one weekday (UTC)
+function hasWeekday(from, to) {
+  for (let day = from; day <= to + DAY_MS; day += DAY_MS) {
+    const weekday = new Date(Math.min(day, to)).getUTCDay()
+    if (weekday !== 0 && weekday !== 6) {
+      return true
+    }
+  }
+  return false
+}
+
+// Function to pick a uniform timestamp between two epochs (inclusive)
+function uniformTime(from, to) {
+  return faker.number.int({ min: from, max: to })
+}
+
+// Function to pick a weekday timestamp during business hours (UTC)
+function businessHoursTime(from, to) {
+  for (let attempt = 0; attempt < MAX_SAMPLE_ATTEMPTS; attempt++) {
+    const day = new Date(uniformTime(from, to))
+    const weekday = day.getUTCDay()
+    if (weekday === 0 || weekday === 6) {
+      continue
+    }
+
+    day.setUTCHours(
+      faker.number.int({
+        min: BUSINESS_START_HOUR,
+        max: BUSINESS_END_HOUR - 1,
+      }),
+      faker.number.int({ min: 0, max: 59 }),
+      faker.number.int({ min: 0, max: 59 }),
+      faker.number.int({ min: 0, max: 999 })
+    )
+    const timestamp = day.getTime()
+    if (timestamp >= from && timestamp <= to) {
+      return timestamp
+    }
+  }
+
+  // Very narrow ranges may have no business-hours slot at all
+  return uniformTime(from, to)
+}
+
+// Function to pick a timestamp with exponential decay toward the range end
+// Samples a truncated exponential so the density halves every halfLifeDays
+// going back from the end of the range.
+function decayTime(from, to, halfLifeDays) {
+  const range = to - from
+  const lambda = Math.LN2 / (halfLifeDays * DAY_MS)
+  const u = faker.number.float({ min: 0, max: 1 })
+  const age = -Math.log(1 - u * (1 - Math.exp(-lambda * range))) / lambda
+  return Math.round(to - Math.min(age, range))
+}
+
+// Function to pick a timestamp concentrated on the given spike dates
+function spikeTime(timeOptions) {
+  const { from, to, spikes } = timeOptions
+  if (faker.number.float({ min: 0, max: 1 }) >= SPIKE_SHARE) {
+    return uniformTime(from, to)
+  }
+  const spike = faker.helpers.arrayElement(spikes)
+  return uniformTime(spike.from, spike.to)
+}
+
+// Function to generate one conversionTime value for resolved time options
+function generateConversionTime(timeOptions) {
+  const { from, to, distribution, halfLifeDays, format } = timeOptions
+
+  let timestamp
+  switch (distribution) {
+    case 'business-hours':
+      timestamp = businessHoursTime(from, to)
+      break
+    case 'decay':
+      timestamp = decayTime(from, to, halfLifeDays)
+      break
+    case 'spikes':
+      timestamp = spikeTime(timeOptions)
+      break
+    default:
+      timestamp = uniformTime(from, to)
+  }
+
+  return format === 'iso' ? new Date(timestamp).toISOString() : timestamp
+}
+
+module.exports = {
+  timeDistributions,
+  timeFormats,
+  resolveTimeOptions,
+  generateConversionTime,
+}
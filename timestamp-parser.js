@@ -0,0 +1,210 @@
+// conversionTime parser shared by the senders
+//
+// Turns the date forms found in CRM exports into epoch milliseconds:
+//   - epoch seconds or milliseconds (told apart by magnitude)
+//   - ISO-8601 with Z or an offset (+02:00, +0200, +02), or without a zone
+//   - date-only values (2025-07-24), read as midnight
+//   - SFDC style "2025-07-24 20:44:52"
+//   - US dates "07/24/2025", optionally with a time and AM/PM
+// Values without a zone are read in a configurable default timezone: an IANA
+// name (America/New_York) or a fixed UTC offset (+05:30). Unparseable values
+// return null so the caller can report them by row.
+
+// Default timezone for values without a zone
+const DEFAULT_TIMEZONE = 'UTC'
+
+// Epoch values below this are seconds, at or above it milliseconds
+// (1e11 seconds is the year 5138; 1e11 milliseconds is March 1973)
+const EPOCH_SECONDS_LIMIT = 1e11
+
+// Patterns for the supported forms
+const EPOCH_PATTERN = /^\d+(\.\d+)?$/
+const ISO_PATTERN =
+  /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:[.,](\d{1,9}))?)?)?\s*(Z|UTC|GMT|[+-]\d{2}(?::?\d{2})?)?$/i
+const US_PATTERN =
+  /^(\d{1,2})\/(\d{1,2})\/(\d{4})(?:,?\s+(\d{1,2}):(\d{2})(?::(\d{2}))?\s*(AM|PM)?)?\s*(Z|UTC|GMT|[+-]\d{2}(?::?\d{2})?)?$/i
+
+// Function to parse a "+05:30" / "-0800" / "+02" offset into minutes
+// Returns null when the text is not an offset or is out of range
+function parseOffsetMinutes(text) {
+  if (/^(Z|UTC|GMT)$/i.test(text)) {
+    return 0
+  }
+  const match = /^([+-])(\d{2})(?::?(\d{2}))?$/.exec(text)
+  if (!match) {
+    return null
+  }
+  const hours = parseInt(match[2])
+  const minutes = match[3] ? parseInt(match[3]) : 0
+  if (hours > 14 || minutes > 59) {
+    return null
+  }
+  return (match[1] === '-' ? -1 : 1) * (hours * 60 + minutes)
+}
+
+// Function to check that date and time parts form a real calendar time
+function isValidDateTime(parts) {
+  const date = new Date(Date.UTC(parts.year, parts.month - 1, parts.day))
+  return (
+    date.getUTCFullYear() === parts.year &&
+    date.getUTCMonth() === parts.month - 1 &&
+    date.getUTCDate() === parts.day &&
+    parts.hour <= 23 &&
+    parts.minute <= 59 &&
+    parts.second <= 59
+  )
+}
+
+class TimestampParser {
+  // timezone: IANA name or UTC offset for values without a zone
+  constructor(timezone = DEFAULT_TIMEZONE) {
+    this.timezone = timezone
+    this.offsetMinutes = parseOffsetMinutes(timezone)
+    this.formatter = null
+
+    if (this.offsetMinutes === null) {
+      try {
+        this.formatter = new Intl.DateTimeFormat('en-US', {
+          timeZone: timezone,
+          hourCycle: 'h23',
+          year: 'numeric',
+          month: 'numeric',
+          day: 'numeric',
+          hour: 'numeric',
+          minute: 'numeric',
+          second: 'numeric',
+        })
+      } catch (error) {
+        throw new Error(
+          `Unknown timezone "${timezone}" - use an IANA name (e.g., America/New_York) or a UTC offset (e.g., +05:30)`
+        )
+      }
+    }
+  }
+
+  // Parse a conversionTime value
+  // Returns { epoch, format } with epoch milliseconds, or null if the value
+  // is not a recognised date
+  parse(value) {
+    const text = String(value).trim()
+    if (text === '') {
+      return null
+    }
+
+    if (EPOCH_PATTERN.test(text)) {
+      const number = Number(text)
+      return number < EPOCH_SECONDS_LIMIT
+        ? { epoch: Math.round(number * 1000), format: 'epoch seconds' }
+        : { epoch: Math.round(number), format: 'epoch milliseconds' }
+    }
+
+    let match = ISO_PATTERN.exec(text)
+    if (match) {
+      const dateOnly = match[4] === undefined
+      const format = dateOnly
+        ? 'date only'
+        : text[10] === ' '
+        ? 'SFDC date time'
+        : 'ISO-8601'
+      return this.toEpoch(
+        {
+          year: parseInt(match[1]),
+          month: parseInt(match[2]),
+          day: parseInt(match[3]),
+          hour: dateOnly ? 0 : parseInt(match[4]),
+          minute: dateOnly ? 0 : parseInt(match[5]),
+          second: match[6] ? parseInt(match[6]) : 0,
+          millisecond: match[7]
+            ? Math.round(Number(`0.${match[7]}`) * 1000)
+            : 0,
+        },
+        match[8],
+        format
+      )
+    }
+
+    match = US_PATTERN.exec(text)
+    if (match) {
+      let hour = match[4] ? parseInt(match[4]) : 0
+      const meridiem = match[7] ? match[7].toUpperCase() : null
+      if (meridiem) {
+        if (hour < 1 || hour > 12) {
+          return null
+        }
+        hour = (hour % 12) + (meridiem === 'PM' ? 12 : 0)
+      }
+      return this.toEpoch(
+        {
+          year: parseInt(match[3]),
+          month: parseInt(match[1]),
+          day: parseInt(match[2]),
+          hour,
+          minute: match[5] ? parseInt(match[5]) : 0,
+          second: match[6] ? parseInt(match[6]) : 0,
+          millisecond: 0,
+        },
+        match[8],
+        'US date'
+      )
+    }
+
+    return null
+  }
+
+  // Convert date and time parts to epoch milliseconds, using the value's own
+  // zone when it has one and the default timezone otherwise
+  toEpoch(parts, zone, format) {
+    if (!isValidDateTime(parts)) {
+      return null
+    }
+    const wallTime = Date.UTC(
+      parts.year,
+      parts.month - 1,
+      parts.day,
+      parts.hour,
+      parts.minute,
+      parts.second,
+      parts.millisecond
+    )
+
+    if (zone !== undefined) {
+      const offsetMinutes = parseOffsetMinutes(zone)
+      if (offsetMinutes === null) {
+        return null
+      }
+      return { epoch: wallTime - offsetMinutes * 60000, format }
+    }
+    return { epoch: this.wallTimeToEpoch(wallTime), format }
+  }
+
+  // Convert a wall-clock time (as if it were UTC) in the default timezone
+  wallTimeToEpoch(wallTime) {
+    if (this.offsetMinutes !== null) {
+      return wallTime - this.offsetMinutes * 60000
+    }
+    // Guess with the offset at the wall time, then correct once for a DST
+    // change between the guess and the result
+    const firstGuess = wallTime - this.zoneOffsetMs(wallTime)
+    const offset = this.zoneOffsetMs(firstGuess)
+    return wallTime - offset
+  }
+
+  // Offset of the IANA timezone from UTC at an instant, in milliseconds
+  zoneOffsetMs(epoch) {
+    const values = {}
+    this.formatter.formatToParts(new Date(epoch)).forEach((part) => {
+      values[part.type] = parseInt(part.value)
+    })
+    const localAsUtc = Date.UTC(
+      values.year,
+      values.month - 1,
+      values.day,
+      values.hour,
+      values.minute,
+      values.second
+    )
+    return localAsUtc - (epoch - (((epoch % 1000) + 1000) % 1000))
+  }
+}
+
+module.exports = { TimestampParser, DEFAULT_TIMEZONE }
@@ -0,0 +1,139 @@
+// Validation policy for the senders
+//
+// Every issue the validators raise has a reason code (see quarantine.js). The
+// policy sets each code to "error" (skip and quarantine the record), "warn"
+// (send it, print a warning) or "ignore" (send it silently). The default
+// policy is the senders' built-in behaviour; the strict preset turns every
+// warning into a skip. A JSON policy file overrides rules on top of either:
+//   { "USER_INFO_MISSING_NAME": "error", "INVALID_COUNTRY_CODE": "ignore" }
+//
+// The severity only decides whether a record is sent and whether a warning is
+// printed, not what is sent. A record sent with a warning rule set to "warn"
+// or "ignore" still leaves out the values the rule is about; for
+// USER_INFO_MISSING_NAME that is all user information (firstName, lastName,
+// title, companyName, countryCode), because LinkedIn only accepts user
+// information with both names. Only "error" changes the outcome, by
+// quarantining the record instead.
+
+const fs = require('fs')
+
+const severities = ['error', 'warn', 'ignore']
+
+// Rules the validators apply: default severity and the severities allowed.
+// Records that break the error-only rules cannot be sent at all.
+const policyRules = {
+  MISSING_EMAIL: { default: 'error', allowed: ['error'] },
+  INVALID_EMAIL: { default: 'error', allowed: severities },
+  INVALID_TIMESTAMP: { default: 'error', allowed: ['error'] },
+  TIMESTAMP_TOO_OLD: { default: 'error', allowed: ['error'] },
+  TIMESTAMP_IN_FUTURE: { default: 'error', allowed: ['error'] },
+  // Sent without user information unless set to error, see above
+  USER_INFO_MISSING_NAME: { default: 'warn', allowed: severities },
+  INVALID_COUNTRY_CODE: { default: 'warn', allowed: severities },
+  AMBIGUOUS_COUNTRY_CODE: { default: 'warn', allowed: severities },
+  INCOMPLETE_CURRENCY: { default: 'warn', allowed: severities },
+  INVALID_CURRENCY_CODE: { default: 'warn', allowed: severities },
+  INACTIVE_CURRENCY_CODE: { default: 'warn', allowed: severities },
+  INVALID_CONVERSION_VALUE: { default: 'warn', allowed: severities },
+}
+
+// Built-in presets: name -> code -> severity
+const policyPresets = {
+  default: Object.fromEntries(
+    Object.entries(policyRules).map(([code, rule]) => [code, rule.default])
+  ),
+  strict: Object.fromEntries(
+    Object.keys(policyRules).map((code) => [code, 'error'])
+  ),
+}
+
+// Function to load a policy file: { "REASON_CODE": "error" | "warn" | "ignore" }
+function loadPolicyFile(filepath) {
+  let rules
+  try {
+    rules = JSON.parse(fs.readFileSync(filepath, 'utf8'))
+  } catch (error) {
+    throw new Error(`Cannot read policy file ${filepath}: ${error.message}`)
+  }
+  if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+    throw new Error(
+      `Policy file ${filepath} must be a JSON object of "REASON_CODE": "error" | "warn" | "ignore" pairs`
+    )
+  }
+
+  Object.entries(rules).forEach(([code, severity]) => {
+    const rule = policyRules[code]
+    if (!rule) {
+      throw new Error(
+        `Policy file ${filepath}: unknown rule "${code}". Available rules: ${Object.keys(
+          policyRules
+        ).join(', ')}`
+      )
+    }
+    if (!rule.allowed.includes(severity)) {
+      throw new Error(
+        `Policy file ${filepath}: ${code} can be set to ${rule.allowed.join(
+          ', '
+        )}, got "${severity}"`
+      )
+    }
+  })
+  return rules
+}
+
+// Function to build the policy in use from --strict and --policy
+// Returns { preset, file, rules } where rules maps every code to a severity
+function resolvePolicy({ strict = false, file } = {}) {
+  const preset = strict ? 'strict' : 'default'
+  return {
+    preset,
+    file: file || null,
+    rules: {
+      ...policyPresets[preset],
+      ...(file ? loadPolicyFile(file) : {}),
+    },
+  }
+}
+
+// Function to sort { code, message } issues into errors and warnings by
+// policy; ignored issues are dropped
+function applyPolicy(policy, issues) {
+  const errors = []
+  const warnings = []
+  issues.forEach((issue) => {
+    const severity = policy.rules[issue.code]
+    if (severity === 'error') {
+      errors.push(issue)
+    } else if (severity === 'warn') {
+      warnings.push(issue)
+    }
+  })
+  return { errors, warnings }
+}
+
+// Function to print the policy in use, marking rules changed from the default
+function printPolicy(policy) {
+  console.log('\n=== Validation Policy ===')
+  console.log(
+    `📜 Policy: ${policy.preset}${policy.file ? ` + ${policy.file}` : ''}`
+  )
+  const width = Math.max(
+    ...Object.keys(policy.rules).map((code) => code.length)
+  )
+  Object.entries(policy.rules).forEach(([code, severity]) => {
+    const changed = severity !== policyRules[code].default
+    console.log(
+      `  ${code.padEnd(width)}  ${severity}${
+        changed ? ` (default: ${policyRules[code].default})` : ''
+      }`
+    )
+  })
+}
+
+module.exports = {
+  policyRules,
+  policyPresets,
+  resolvePolicy,
+  applyPolicy,
+  printPolicy,
+}
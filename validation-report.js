@@ -0,0 +1,319 @@
+// Pre-flight validation report shared by the senders
+//
+// In --validate mode the senders run every validation rule over all parsed
+// records without sending anything, and collect the results here: how many
+// records each rule rejects or warns about (with sample rows), how often each
+// field is filled in, the duplicates that would be dropped, the conversionTime
+// range, the future-dated events and the currency totals that would be sent.
+// The report is printed and saved as JSON, next to the first input file
+// unless --report gives a path. Strategies validation chose without asking
+// (old and future-dated events are skipped unless a strategy is given) are
+// listed under settings.assumed.
+
+const fs = require('fs')
+const path = require('path')
+const { SOURCE_LINE } = require('./csv-parser')
+const { SOURCE_FILE } = require('./input-reader')
+const { formatFutureDated } = require('./conversion-window')
+
+// Sample rows kept per rule
+const MAX_SAMPLE_ROWS = 10
+
+// Options that choose the strategies validation can assume
+const strategyFlags = {
+  oldTimestamps: '--old-timestamps',
+  futureTimestamps: '--future-timestamps',
+}
+
+// Function to build the default report path for an input file
+// e.g. data/leads.csv -> data/validation-report-2025-09-01T10-00-00-000Z.json
+function reportPathFor(inputPath) {
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-')
+  return path.join(
+    path.dirname(inputPath),
+    `validation-report-${timestamp}.json`
+  )
+}
+
+// Function to add a conversionTime value to a { earliest, latest, parsed,
+// unparsed } range
+function addToTimeRange(range, value) {
+  if (!/^\d+$/.test(value)) {
+    range.unparsed++
+    return
+  }
+  const timestamp = parseInt(value)
+  range.parsed++
+  if (range.earliest === null || timestamp < range.earliest) {
+    range.earliest = timestamp
+  }
+  if (range.latest === null || timestamp > range.latest) {
+    range.latest = timestamp
+  }
+}
+
+// Function to convert a range's epoch bounds to ISO dates for the report
+function formatTimeRange(range) {
+  const toIso = (timestamp) =>
+    timestamp !== null ? new Date(timestamp).toISOString() : null
+  return {
+    ...range,
+    earliest: toIso(range.earliest),
+    latest: toIso(range.latest),
+  }
+}
+
+class ValidationReport {
+  // sender: name of the sender; settings: options the rules depend on
+  constructor(sender, settings) {
+    this.sender = sender
+    this.settings = settings
+    this.recordCount = 0
+    this.outcomes = { valid: 0, withWarnings: 0, skipped: 0 }
+    this.rules = {} // code -> { severity, count, example, sampleRows }
+    this.fieldCounts = new Map() // field -> records with a value
+    // conversionTime ranges of the input and after old and future timestamps
+    // were rewritten
+    this.timeRange = { earliest: null, latest: null, parsed: 0, unparsed: 0 }
+    this.rewrittenTimeRange = { ...this.timeRange }
+    this.currencies = {} // currencyCode -> { records, total }
+    this.futureDated = null // countFutureDated() result, if conversionTime is used
+    this.duplicates = null // { inInput, alreadySent } records dropped before validation
+  }
+
+  // Record the duplicates dropped from the job
+  setDuplicates(duplicates) {
+    this.duplicates = duplicates
+  }
+
+  // Record the future-dated counts of the job
+  setFutureDated(futureDated) {
+    this.futureDated = futureDated
+  }
+
+  // Add one record with its validateEventData() result,
+  // validateCurrencyData() result and conversionTime as read from the input
+  addRecord(record, validation, currencyValidation, originalTime) {
+    this.recordCount++
+    if (!validation.valid) {
+      this.outcomes.skipped++
+    } else if (validation.warnings.length > 0) {
+      this.outcomes.withWarnings++
+    } else {
+      this.outcomes.valid++
+    }
+
+    const row = `${record[SOURCE_FILE].name}:${record[SOURCE_LINE]}`
+    ;(validation.errors || []).forEach((issue) =>
+      this.addIssue('error', issue, row)
+    )
+    validation.warnings.forEach((issue) => this.addIssue('warning', issue, row))
+
+    Object.entries(record).forEach(([field, value]) => {
+      const filled = value !== undefined && String(value).trim() !== ''
+      this.fieldCounts.set(
+        field,
+        (this.fieldCounts.get(field) || 0) + (filled ? 1 : 0)
+      )
+    })
+
+    if (originalTime) {
+      addToTimeRange(this.timeRange, originalTime)
+    }
+    if (record.conversionTime) {
+      addToTimeRange(this.rewrittenTimeRange, record.conversionTime)
+    }
+
+    // Only currency data that would actually be sent counts towards totals
+    if (validation.valid && currencyValidation.shouldInclude) {
+      const totals = this.currencies[currencyValidation.currencyCode] || {
+        records: 0,
+        total: 0,
+      }
+      totals.records++
+      totals.total += currencyValidation.conversionValue
+      this.currencies[currencyValidation.currencyCode] = totals
+    }
+  }
+
+  addIssue(severity, issue, row) {
+    const rule = this.rules[issue.code] || {
+      severity,
+      count: 0,
+      example: issue.message,
+      sampleRows: [],
+    }
+    rule.count++
+    if (rule.sampleRows.length < MAX_SAMPLE_ROWS) {
+      rule.sampleRows.push(row)
+    }
+    this.rules[issue.code] = rule
+  }
+
+  // Build the report object; inputFiles are the sender's input file entries
+  toJSON(inputFiles) {
+    const fillRates = {}
+    this.fieldCounts.forEach((filled, field) => {
+      fillRates[field] = {
+        filled,
+        rate: this.recordCount > 0 ? filled / this.recordCount : 0,
+      }
+    })
+
+    const currencies = {}
+    Object.keys(this.currencies)
+      .sort()
+      .forEach((code) => {
+        const { records, total } = this.currencies[code]
+        currencies[code] = { records, total: Math.round(total * 100) / 100 }
+      })
+
+    return {
+      generatedAt: new Date().toISOString(),
+      sender: this.sender,
+      settings: this.settings,
+      inputFiles: inputFiles.map((file) => ({
+        name: file.name,
+        records: file.recordCount,
+        malformedRows: file.malformedRows,
+        normalizedEmails: file.normalizedEmails,
+      })),
+      totals: {
+        records: this.recordCount,
+        malformedRows: inputFiles.reduce(
+          (sum, file) => sum + file.malformedRows,
+          0
+        ),
+        normalizedEmails: inputFiles.reduce(
+          (sum, file) => sum + file.normalizedEmails,
+          0
+        ),
+        ...this.outcomes,
+      },
+      duplicates: this.duplicates,
+      rules: this.rules,
+      fieldFillRates: fillRates,
+      conversionTime: {
+        ...formatTimeRange(this.timeRange),
+        // Only when rewriting changed the range
+        rewritten:
+          this.rewrittenTimeRange.earliest !== this.timeRange.earliest ||
+          this.rewrittenTimeRange.latest !== this.timeRange.latest
+            ? formatTimeRange(this.rewrittenTimeRange)
+            : null,
+      },
+      futureDated: this.futureDated,
+      currencies,
+    }
+  }
+
+  // Print the report to the console
+  print(report) {
+    const percent = (count) =>
+      report.totals.records > 0
+        ? ((count / report.totals.records) * 100).toFixed(1)
+        : '0.0'
+
+    console.log('\n=== Validation Report ===')
+    report.settings.assumed.forEach((name) => {
+      console.log(
+        `💡 Assumed ${name} strategy: ${report.settings[name]} (choose one with ${strategyFlags[name]})`
+      )
+    })
+    console.log(`📊 Records: ${report.totals.records}`)
+    console.log(
+      `✅ Would send: ${report.totals.valid + report.totals.withWarnings} (${
+        report.totals.withWarnings
+      } with warnings)`
+    )
+    console.log(
+      `⚠️  Would skip: ${report.totals.skipped} (${percent(
+        report.totals.skipped
+      )}%)`
+    )
+    if (report.duplicates && report.duplicates.inInput > 0) {
+      console.log(
+        `🔁 Duplicates within the input (would be dropped): ${report.duplicates.inInput}`
+      )
+    }
+    if (report.totals.malformedRows > 0) {
+      console.log(
+        `🧯 Malformed rows (not parsed): ${report.totals.malformedRows}`
+      )
+    }
+
+    if (report.totals.normalizedEmails > 0) {
+      console.log(
+        `✉️  Emails changed by normalisation: ${report.totals.normalizedEmails}`
+      )
+    }
+
+    console.log('\n📋 Rules:')
+    const rules = Object.entries(report.rules)
+    if (rules.length === 0) {
+      console.log('  No record broke a rule')
+    }
+    rules
+      .sort((a, b) => b[1].count - a[1].count)
+      .forEach(([code, rule]) => {
+        console.log(
+          `  ${rule.severity === 'error' ? '❌' : '⚠️ '} ${code}: ${
+            rule.count
+          } records (${percent(rule.count)}%) - e.g. ${rule.sampleRows
+            .slice(0, 3)
+            .join(', ')}`
+        )
+      })
+
+    console.log('\n📝 Field fill rates:')
+    Object.entries(report.fieldFillRates).forEach(
+      ([field, { filled, rate }]) => {
+        console.log(
+          `  ${field}: ${(rate * 100).toFixed(1)}% (${filled}/${
+            report.totals.records
+          })`
+        )
+      }
+    )
+
+    console.log('\n🕒 conversionTime range (input):')
+    if (report.conversionTime.parsed > 0) {
+      console.log(
+        `  ${report.conversionTime.earliest} → ${report.conversionTime.latest} (${report.conversionTime.parsed} values)`
+      )
+      const rewritten = report.conversionTime.rewritten
+      if (rewritten) {
+        console.log(
+          `  After rewriting old and future timestamps: ${rewritten.earliest} → ${rewritten.latest}`
+        )
+      }
+    } else {
+      console.log('  No conversionTime values')
+    }
+    if (report.conversionTime.unparsed > 0) {
+      console.log(`  Unparseable values: ${report.conversionTime.unparsed}`)
+    }
+    if (report.futureDated && report.futureDated.total > 0) {
+      formatFutureDated(report.futureDated).forEach((line) =>
+        console.log(`  ${line}`)
+      )
+    }
+
+    console.log('\n💰 Currency totals (records that would be sent):')
+    const currencies = Object.entries(report.currencies)
+    if (currencies.length === 0) {
+      console.log('  No currency data')
+    }
+    currencies.forEach(([code, { records, total }]) => {
+      console.log(`  ${code}: ${total.toFixed(2)} across ${records} records`)
+    })
+  }
+
+  // Save the report as JSON to filepath; returns the path
+  save(report, filepath) {
+    fs.writeFileSync(filepath, JSON.stringify(report, null, 2))
+    return filepath
+  }
+}
+
+module.exports = { ValidationReport, reportPathFor }
@@ -1,23 +1,32 @@
 #!/usr/bin/env node
 
-const fs = require('fs')
-const path = require('path')
 const readline = require('readline-sync')
 const axios = require('axios')
+const { SOURCE_LINE } = require('./csv-parser')
+const { SOURCE_FILE } = require('./input-reader')
+const { positionAfter } = require('./checkpoint')
+const { printPolicy } = require('./validation-policy')
+const { senderCliOptions, EventSender } = require('./event-sender')
 
-class WebhookSender {
+// Command-line options; everything else is asked for interactively
+const cliOptions = senderCliOptions('webhook', 'request')
+
+class WebhookSender extends EventSender {
   constructor() {
+    super('webhook', {
+      unit: 'request',
+      conversionLabel: 'the webhook URL',
+    })
     this.webhookUrl = ''
     this.maxRequestsPerMinute = 20
-    this.csvFile = ''
-    this.csvData = []
-    this.totalRecords = 0
-    this.sentRecords = 0
-    this.errors = []
+    this.errors = [] // Failed requests of this run
+    this.failedBefore = 0 // Failed requests of the interrupted run, with --resume
     this.requestQueue = []
-    this.isRunning = false
-    this.useConversionTime = false // Whether to use conversionTime from CSV
-    this.resetOldTimestamps = false // Whether to reset timestamps older than 90 days
+  }
+
+  // Where events go, part of the dedup key
+  conversionKey() {
+    return this.webhookUrl
   }
 
   // Get webhook URL from user
@@ -83,190 +92,36 @@ class WebhookSender {
     )
   }
 
-  // Browse and select CSV file
-  selectCsvFile() {
-    console.log('\n=== CSV File Selection ===')
-
-    // Get all CSV files in current directory
-    const csvFiles = fs
-      .readdirSync(__dirname)
-      .filter((file) => file.endsWith('.csv'))
-      .sort()
-
-    if (csvFiles.length === 0) {
-      throw new Error('No CSV files found in current directory')
-    }
-
-    console.log('Available CSV files:')
-    csvFiles.forEach((file, index) => {
-      const stats = fs.statSync(path.join(__dirname, file))
-      const sizeKB = (stats.size / 1024).toFixed(2)
-      console.log(`${index + 1}. ${file} (${sizeKB} KB)`)
-    })
-
-    while (true) {
-      const selection = readline.question('Select a CSV file (enter number): ')
-      const index = parseInt(selection) - 1
-
-      if (index >= 0 && index < csvFiles.length) {
-        this.csvFile = csvFiles[index]
-        break
-      } else {
-        console.log('❌ Please enter a valid number')
-      }
-    }
-
-    console.log(`✅ Selected CSV file: ${this.csvFile}`)
-  }
-
-  // Parse CSV file
-  parseCsvFile() {
-    console.log('\n=== Parsing CSV File ===')
-
-    try {
-      const csvContent = fs.readFileSync(
-        path.join(__dirname, this.csvFile),
-        'utf8'
-      )
-      const lines = csvContent.trim().split('\n')
-
-      if (lines.length < 2) {
-        throw new Error(
-          'CSV file must have at least a header row and one data row'
-        )
-      }
-
-      // Parse header
-      const headers = lines[0].split(',').map((h) => h.trim())
-      console.log(`📋 Headers found: ${headers.join(', ')}`)
-
-      // Parse data rows
-      this.csvData = []
-      for (let i = 1; i < lines.length; i++) {
-        const values = this.parseCsvLine(lines[i])
-        if (values.length === headers.length) {
-          const record = {}
-          headers.forEach((header, index) => {
-            let value = values[index].trim()
-
-            // Clean SFDC-specific formatting
-            value = this.cleanSfdcValue(value)
-
-            // Convert ISO-8601 to epoch for conversionTime field
-            if (
-              header === 'conversionTime' &&
-              value &&
-              this.isIso8601Date(value)
-            ) {
-              value = this.convertIso8601ToEpoch(value)
-            }
-
-            record[header] = value
-          })
-          this.csvData.push(record)
-        }
-      }
-
-      this.totalRecords = this.csvData.length
-      console.log(`✅ Parsed ${this.totalRecords} records successfully`)
-    } catch (error) {
-      throw new Error(`Failed to parse CSV file: ${error.message}`)
-    }
-  }
-
-  // Parse a CSV line handling quotes and commas
-  parseCsvLine(line) {
-    const result = []
-    let current = ''
-    let inQuotes = false
-
-    for (let i = 0; i < line.length; i++) {
-      const char = line[i]
-
-      if (char === '"') {
-        if (inQuotes && line[i + 1] === '"') {
-          current += '"'
-          i++ // Skip next quote
-        } else {
-          inQuotes = !inQuotes
-        }
-      } else if (char === ',' && !inQuotes) {
-        result.push(current)
-        current = ''
-      } else {
-        current += char
-      }
-    }
-
-    result.push(current)
-    return result
-  }
-
-  // Clean SFDC-specific value formatting
-  cleanSfdcValue(value) {
-    // Remove surrounding quotes if present
-    if (value.startsWith('"') && value.endsWith('"')) {
-      value = value.slice(1, -1)
-    }
-
-    // Convert "[not provided]" to empty string
-    if (value === '[not provided]') {
-      value = ''
-    }
-
-    // Handle escaped quotes within the value
-    value = value.replace(/""/g, '"')
-
-    return value
-  }
-
-  // Check if a string is in ISO-8601 date format
-  isIso8601Date(dateString) {
-    const iso8601Regex = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d{3})?Z$/
-    return iso8601Regex.test(dateString)
-  }
-
-  // Convert ISO-8601 date string to epoch milliseconds
-  convertIso8601ToEpoch(iso8601String) {
-    try {
-      const date = new Date(iso8601String)
-      if (isNaN(date.getTime())) {
-        console.log(`⚠️  Invalid ISO-8601 date format: ${iso8601String}`)
-        return ''
-      }
-      return date.getTime().toString()
-    } catch (error) {
-      console.log(
-        `⚠️  Error converting date ${iso8601String}: ${error.message}`
-      )
-      return ''
-    }
-  }
-
   // Check if CSV has conversionTime column and ask user configuration
   getConversionTimeConfigurationIfAvailable() {
     // Check if CSV has conversionTime column
     if (
-      this.csvData.length > 0 &&
-      this.csvData[0].hasOwnProperty('conversionTime')
+      this.sampleRecords.length > 0 &&
+      this.sampleRecords[0].hasOwnProperty('conversionTime')
     ) {
       console.log('\n=== Conversion Time Configuration ===')
       console.log('💡 Found conversionTime column in CSV file')
 
       // Show a sample of the conversionTime values
-      const sampleTimes = this.csvData.slice(0, 3).map((record) => {
-        if (record.conversionTime) {
+      const sampleTimes = this.sampleRecords.map((record) => {
+        if (/^\d+$/.test(record.conversionTime)) {
           const date = new Date(parseInt(record.conversionTime))
           return `   • ${date.toISOString()}`
         }
+        if (record.conversionTime) {
+          return `   • (unparseable: "${record.conversionTime}")`
+        }
         return '   • (empty)'
       })
       console.log('📋 Sample conversionTime values:')
       console.log(sampleTimes.join('\n'))
 
-      const useConversionTimeInput = readline.question(
-        '\nDo you want to include conversionTime from CSV in webhook payload? (y/n): '
-      )
+      // Validation checks conversionTime without asking
+      const useConversionTimeInput = this.dryRun
+        ? 'y'
+        : readline.question(
+            '\nDo you want to include conversionTime from CSV in webhook payload? (y/n): '
+          )
 
       if (
         useConversionTimeInput.toLowerCase() === 'y' ||
@@ -274,22 +129,9 @@ class WebhookSender {
       ) {
         this.useConversionTime = true
 
-        // Ask about handling old timestamps
-        console.log('\n💡 Some timestamps might be older than 90 days')
-        const resetOldInput = readline.question(
-          'Reset timestamps older than 90 days to current time? (y/n): '
-        )
-
-        if (
-          resetOldInput.toLowerCase() === 'y' ||
-          resetOldInput.toLowerCase() === 'yes'
-        ) {
-          this.resetOldTimestamps = true
-          console.log('✅ Will reset old timestamps to current time')
-        } else {
-          this.resetOldTimestamps = false
-          console.log('✅ Will skip events with timestamps older than 90 days')
-        }
+        // Ask about handling old and future-dated timestamps
+        this.selectOldTimestampStrategy()
+        this.selectFutureTimestampStrategy()
 
         console.log('✅ Will include conversionTime in webhook payload')
       } else {
@@ -303,163 +145,13 @@ class WebhookSender {
     }
   }
 
-  // Validate if timestamp is within last 90 days
-  isValidConversionTime(timestamp) {
-    if (!timestamp || isNaN(timestamp)) {
-      return false
-    }
-
-    const now = Date.now()
-    const ninetyDaysAgo = now - 90 * 24 * 60 * 60 * 1000 // 90 days in milliseconds
-
-    return timestamp >= ninetyDaysAgo && timestamp <= now
-  }
-
-  // Validate currency code and conversion value pair
-  validateCurrencyData(record) {
-    const hasCurrencyCode =
-      record.currencyCode && record.currencyCode.trim() !== ''
-    const hasConversionValue =
-      record.conversionValue && record.conversionValue.trim() !== ''
-
-    // If neither field is provided, that's fine - both will be ignored
-    if (!hasCurrencyCode && !hasConversionValue) {
-      return { valid: true, shouldInclude: false }
-    }
-
-    // If only one field is provided, ignore both
-    if (!hasCurrencyCode || !hasConversionValue) {
-      return {
-        valid: true,
-        shouldInclude: false,
-        warning:
-          'Currency data incomplete - both currencyCode and conversionValue required, ignoring both fields',
-      }
-    }
-
-    // Validate currency code format (3-character ISO code)
-    const currencyCode = record.currencyCode.trim().toUpperCase()
-    if (!/^[A-Z]{3}$/.test(currencyCode)) {
-      return {
-        valid: true,
-        shouldInclude: false,
-        warning:
-          'Invalid currencyCode format - must be 3-character ISO code, ignoring currency data',
-      }
-    }
-
-    // Validate conversion value (must be a number >= 0)
-    const conversionValue = parseFloat(record.conversionValue)
-    if (isNaN(conversionValue) || conversionValue < 0) {
-      return {
-        valid: true,
-        shouldInclude: false,
-        warning:
-          'Invalid conversionValue - must be a number >= 0, ignoring currency data',
-      }
-    }
-
-    return { valid: true, shouldInclude: true, currencyCode, conversionValue }
-  }
-
-  // Validate user information fields
-  validateUserInfo(record) {
-    const userInfoFields = ['title', 'companyName', 'countryCode']
-    const hasUserInfo = userInfoFields.some(
-      (field) => record[field] && record[field].trim() !== ''
-    )
-
-    if (!hasUserInfo) {
-      return { valid: true, includeUserInfo: false }
-    }
-
-    const hasFirstName = record.firstName && record.firstName.trim() !== ''
-    const hasLastName = record.lastName && record.lastName.trim() !== ''
-
-    if (hasFirstName && hasLastName) {
-      return { valid: true, includeUserInfo: true }
-    }
-
-    // User info present but missing required firstName/lastName
-    const missingFields = []
-    if (!hasFirstName) missingFields.push('firstName')
-    if (!hasLastName) missingFields.push('lastName')
-
-    return {
-      valid: true,
-      includeUserInfo: false,
-      warning: `User information detected but missing required fields (${missingFields.join(
-        ', '
-      )}). Excluding all user information fields (firstName, lastName, title, companyName, countryCode) from this record.`,
-    }
-  }
-
-  // Validate event data before sending
-  validateEventData(record, index) {
-    const errors = []
-    const warnings = []
-
-    // 1. Must have email (assuming data source is CRM)
-    if (!record.email || record.email.trim() === '') {
-      errors.push('Missing required email field')
-    }
-
-    // 2. Validate user information
-    const userInfoValidation = this.validateUserInfo(record)
-    if (userInfoValidation.warning) {
-      warnings.push(userInfoValidation.warning)
-    }
-
-    // 3. Check conversion time if using CSV timestamps and not resetting old ones
-    if (
-      this.useConversionTime &&
-      !this.resetOldTimestamps &&
-      record.conversionTime
-    ) {
-      const csvTimestamp = parseInt(record.conversionTime)
-      if (!isNaN(csvTimestamp) && !this.isValidConversionTime(csvTimestamp)) {
-        const daysAgo = Math.floor(
-          (Date.now() - csvTimestamp) / (1000 * 60 * 60 * 24)
-        )
-        errors.push(
-          `ConversionTime is ${daysAgo} days old (beyond 90-day limit)`
-        )
-      }
-    }
-
-    // 4. Validate currency data
-    const currencyValidation = this.validateCurrencyData(record)
-    if (currencyValidation.warning) {
-      warnings.push(currencyValidation.warning)
-    }
-
-    // Show warnings but don't fail validation
-    if (warnings.length > 0) {
-      console.log(
-        `⚠️  Record ${index + 1} (${
-          record.email || 'no email'
-        }) warnings: ${warnings.join(', ')}`
-      )
-    }
-
-    if (errors.length > 0) {
-      console.log(
-        `⚠️  Skipping record ${index + 1} (${
-          record.email || 'no email'
-        }): ${errors.join(', ')}`
-      )
-      return false
-    }
-
-    return { valid: true, includeUserInfo: userInfoValidation.includeUserInfo }
-  }
-
   // Construct JSON payload for webhook - dynamically includes all CSV fields
   constructPayload(record, includeUserInfo = true) {
     const payload = {}
 
-    // Validate currency data and get validated values
+    // Validate currency data and country code and get validated values
     const currencyValidation = this.validateCurrencyData(record)
+    const { countryCode } = this.validateUserInfo(record)
 
     // Define user information fields that should be conditionally included
     const userInfoFields = [
@@ -485,20 +177,23 @@ class WebhookSender {
         continue
       }
 
-      // Handle conversionTime specially if using CSV timestamps and reset option
+      // Send the resolved ISO code, or nothing if the country is unknown
+      if (key === 'countryCode') {
+        if (countryCode) {
+          payload[key] = countryCode
+        }
+        continue
+      }
+
+      // Handle conversionTime specially if using CSV timestamps (old ones
+      // have been rewritten already)
       if (key === 'conversionTime' && this.useConversionTime && value) {
         const csvTimestamp = parseInt(value)
 
-        if (!isNaN(csvTimestamp)) {
-          if (this.isValidConversionTime(csvTimestamp)) {
-            // Use original timestamp if valid
-            payload[key] = value
-          } else if (this.resetOldTimestamps) {
-            // Use current timestamp if resetting old ones
-            payload[key] = Date.now().toString()
-          }
-          // If not resetting and invalid, skip this field (validation should have caught this)
+        if (!isNaN(csvTimestamp) && this.isValidConversionTime(csvTimestamp)) {
+          payload[key] = value
         }
+        // If invalid, skip this field (validation should have caught this)
       } else if (value && value.trim() !== '') {
         // Only include fields with actual values (not empty strings)
         payload[key] = value
@@ -545,22 +240,25 @@ class WebhookSender {
     }
   }
 
+  // Number of failed requests, including those of an interrupted run
+  failedCount() {
+    return this.failedBefore + this.errors.length
+  }
+
   // Display progress
   displayProgress() {
+    const failed = this.failedCount()
     const progress = (
-      ((this.sentRecords + this.errors.length) / this.totalRecords) *
+      ((this.sentRecords + failed) / this.totalRecords) *
       100
     ).toFixed(1)
     const successRate =
       this.sentRecords > 0
-        ? (
-            (this.sentRecords / (this.sentRecords + this.errors.length)) *
-            100
-          ).toFixed(1)
+        ? ((this.sentRecords / (this.sentRecords + failed)) * 100).toFixed(1)
         : '0.0'
 
     process.stdout.write(
-      `\r🚀 Progress: ${progress}% | Sent: ${this.sentRecords}/${this.totalRecords} | Success Rate: ${successRate}% | Errors: ${this.errors.length}`
+      `\r🚀 Progress: ${progress}% | Sent: ${this.sentRecords}/${this.totalRecords} | Success Rate: ${successRate}% | Errors: ${failed}`
     )
   }
 
@@ -577,52 +275,112 @@ class WebhookSender {
       )} minutes`
     )
 
-    const confirm = readline.question('\nProceed with sending? (y/n): ')
-    if (confirm.toLowerCase() !== 'y' && confirm.toLowerCase() !== 'yes') {
+    if (!this.confirmSending()) {
       console.log('❌ Operation cancelled')
       return
     }
 
     this.isRunning = true
+    this.shutdown.install()
     const startTime = Date.now()
     let skippedRecords = 0
 
+    // A resumed run carries the totals across and starts at the first record
+    // the interrupted run did not handle
+    if (this.resumeFrom) {
+      this.restoreProgress(this.resumeFrom)
+      skippedRecords = this.resumeFrom.skippedRecords
+      console.log(
+        `\n⏩ Resuming: ${
+          this.handledRecords
+        } records handled by the interrupted run, ${
+          this.totalRecords - this.handledRecords
+        } to go`
+      )
+    } else {
+      this.checkpoint.start(
+        this.argv,
+        this.checkpointSettings(),
+        this.inputFiles
+      )
+      this.saveCheckpoint(null, skippedRecords)
+    }
+    console.log(
+      `💾 Progress is saved to ${this.checkpoint.filepath} after every request; if the run is interrupted, continue it with --resume`
+    )
+
     // Calculate delay between requests (in milliseconds)
     const delayBetweenRequests = (60 * 1000) / this.maxRequestsPerMinute
 
     console.log('\n📤 Starting to send records...\n')
 
-    for (let i = 0; i < this.csvData.length; i++) {
-      if (!this.isRunning) break
-
-      const record = this.csvData[i]
+    let stoppedAt = null // Index of the first record not handled, if stopped
+    let nextIndex = this.handledRecords
+    for await (const record of this.recordsToSend()) {
+      if (!this.isRunning) {
+        stoppedAt = nextIndex
+        break
+      }
+      const i = nextIndex++
 
       // Validate record before sending
       const validation = this.validateEventData(record, i)
       if (!validation.valid) {
+        record[SOURCE_FILE].quarantine.addRecord(
+          record,
+          record[SOURCE_LINE],
+          validation.errors
+        )
         skippedRecords++
+        this.saveCheckpoint(record, skippedRecords)
         continue
       }
 
       const payload = this.constructPayload(record, validation.includeUserInfo)
 
-      await this.sendWebhookRequest(payload, i)
+      const result = await this.sendWebhookRequest(payload, i)
+      if (result.success) {
+        record[SOURCE_FILE].sent++
+        this.deduplicator.recordSent([record])
+      } else {
+        record[SOURCE_FILE].failed++
+        await this.writeLogToFile('webhook-errors.log', {
+          timestamp: new Date().toISOString(),
+          file: record[SOURCE_FILE].name,
+          line: record[SOURCE_LINE],
+          record: i + 1,
+          status: result.error.status,
+          error: result.error.error,
+        })
+      }
+      this.saveCheckpoint(record, skippedRecords)
       this.displayProgress()
 
       // Rate limiting - wait before next request
-      if (i < this.csvData.length - 1) {
+      if (i < this.totalRecords - 1 && this.isRunning) {
         await this.sleep(delayBetweenRequests)
       }
     }
 
+    if (stoppedAt === null) {
+      this.checkpoint.complete()
+    }
+
     const endTime = Date.now()
     const totalTime = ((endTime - startTime) / 1000 / 60).toFixed(2)
-    const processedRecords = this.sentRecords + this.errors.length
+    const processedRecords = this.sentRecords + this.failedCount()
 
     console.log('\n\n=== Sending Complete ===')
     console.log(`✅ Successfully sent: ${this.sentRecords} records`)
-    console.log(`❌ Failed to send: ${this.errors.length} records`)
+    console.log(`❌ Failed to send: ${this.failedCount()} records`)
     console.log(`⚠️  Skipped (validation): ${skippedRecords} records`)
+    if (stoppedAt !== null) {
+      console.log(
+        `🛑 Stopped by ${this.shutdown.signal}: ${
+          this.totalRecords - stoppedAt
+        } records not sent yet - continue with --resume`
+      )
+    }
     console.log(`⏱️  Total time: ${totalTime} minutes`)
     console.log(
       `📈 Success rate: ${
@@ -631,9 +389,15 @@ class WebhookSender {
           : '0.0'
       }%`
     )
+    this.displayDuplicates()
+    this.displayFutureDated()
+    this.displayRewrites()
+    this.displayFileBreakdown()
 
-    if (this.errors.length > 0) {
-      console.log('\n📋 Error Summary:')
+    if (this.failedCount() > 0) {
+      console.log(
+        '\n📋 Error Summary (every failed request is logged to webhook-errors.log):'
+      )
       this.errors.slice(0, 10).forEach((error) => {
         console.log(
           `  Record ${error.index + 1}: ${error.status} - ${error.error}`
@@ -643,10 +407,60 @@ class WebhookSender {
       if (this.errors.length > 10) {
         console.log(`  ... and ${this.errors.length - 10} more errors`)
       }
+      if (this.failedBefore > 0) {
+        console.log(
+          `  ... and ${this.failedBefore} errors of the interrupted run`
+        )
+      }
     }
   }
 
-  // Utility function to validate URL
+  // Settings saved in the checkpoint: the answers to every question, so a
+  // resumed run asks none. Options come from the saved command line.
+  checkpointSettings() {
+    return {
+      webhookUrl: this.webhookUrl,
+      maxRequestsPerMinute: this.maxRequestsPerMinute,
+      ...super.checkpointSettings(),
+    }
+  }
+
+  // Use the settings of the interrupted run
+  applyCheckpointSettings(settings) {
+    this.webhookUrl = settings.webhookUrl
+    this.maxRequestsPerMinute = settings.maxRequestsPerMinute
+    super.applyCheckpointSettings(settings)
+  }
+
+  // Save the progress after a request; lastRecord is the record just
+  // handled (null before the first). Only totals are saved: the details of
+  // failed requests are in webhook-errors.log
+  saveCheckpoint(lastRecord, skippedRecords) {
+    this.checkpoint.save({
+      nextRow: positionAfter(this.inputFiles, lastRecord),
+      sentRecords: this.sentRecords,
+      failedRecords: this.failedCount(),
+      skippedRecords,
+      duplicates: this.duplicates,
+      files: this.inputFiles.map(({ sent, failed, duplicates }) => ({
+        sent,
+        failed,
+        duplicates,
+      })),
+    })
+  }
+
+  // Carry the totals of the interrupted run across
+  restoreProgress(progress) {
+    this.sentRecords = progress.sentRecords
+    this.failedBefore = progress.failedRecords
+    this.duplicates = progress.duplicates
+    this.inputFiles.forEach((file, index) => {
+      Object.assign(file, progress.files[index])
+    })
+  }
+
+  // Validate URL format
   isValidUrl(string) {
     try {
       new URL(string)
@@ -656,28 +470,47 @@ class WebhookSender {
     }
   }
 
-  // Utility function to sleep
-  sleep(ms) {
-    return new Promise((resolve) => setTimeout(resolve, ms))
-  }
-
   // Main execution function
-  async run() {
+  async run(argv = process.argv.slice(2)) {
     try {
+      const options = this.applyOptions(argv, cliOptions)
+      if (!options) {
+        return
+      }
+
       console.log('🎯 Webhook CSV Data Sender')
       console.log('==========================')
       console.log(
         'This tool sends CSV data to a webhook URL with rate limiting.'
       )
 
-      this.getWebhookUrl()
-      this.getMaxSendRate()
-      this.selectCsvFile()
-      this.parseCsvFile()
-      this.getConversionTimeConfigurationIfAvailable()
-      await this.sendAllRecords()
+      printPolicy(this.policy)
+      if (this.dryRun) {
+        await this.runValidation()
+        return
+      }
+      await this.logValidationPolicy('send')
 
-      console.log('\n🎉 Process completed!')
+      if (this.resumeFrom) {
+        console.log(
+          `\n⏩ Resuming the run started at ${this.checkpoint.data.startedAt} (${this.checkpoint.filepath})`
+        )
+        console.log(`✅ Webhook URL: ${this.webhookUrl}`)
+        console.log(
+          `✅ Rate limit: ${this.maxRequestsPerMinute} requests per minute`
+        )
+      } else {
+        this.getWebhookUrl()
+        this.getMaxSendRate()
+      }
+      this.selectInputFiles()
+      await this.parseInputFiles()
+      if (this.resumeFrom) {
+        this.checkpoint.checkInputFiles(this.inputFiles)
+      } else {
+        this.getConversionTimeConfigurationIfAvailable()
+      }
+      await this.processRecords()
     } catch (error) {
       console.error('\n❌ Application error:', error.message)
       process.exit(1)
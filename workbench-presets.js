@@ -0,0 +1,106 @@
+// Salesforce Workbench export emulation for the data generator
+//
+// Presets reproduce the CSV files SFDC Workbench produces for the Lead and
+// Opportunity SOQL queries in the README: quoted SFDC API headers, every value
+// quoted, "[not provided]" for empty values and ISO-8601 LastModifiedDate.
+
+const { faker } = require('@faker-js/faker')
+
+// Placeholder Workbench writes for empty values
+const NOT_PROVIDED = '[not provided]'
+
+// Column layouts; blankRate is the percent of rows where the value is empty
+const workbenchPresets = {
+  lead: {
+    description: 'Lead export (Email, FirstName, ..., LastModifiedDate)',
+    columns: [
+      { header: 'Email', field: 'email' },
+      { header: 'FirstName', field: 'firstName', blankRate: 2 },
+      { header: 'LastName', field: 'lastName' },
+      { header: 'Title', field: 'title', blankRate: 15 },
+      { header: 'Company', field: 'companyName' },
+      { header: 'CountryCode__c', field: 'countryCode', blankRate: 10 },
+      { header: 'LastModifiedDate', field: 'conversionTime' },
+    ],
+  },
+  opportunity: {
+    description:
+      'Opportunity export (ContactEmail__c, ..., CurrencyIsoCode, Amount, LastModifiedDate)',
+    columns: [
+      { header: 'ContactEmail__c', field: 'email' },
+      { header: 'ContactFirstName__c', field: 'firstName', blankRate: 2 },
+      { header: 'ContactLastName__c', field: 'lastName' },
+      { header: 'ContactTitle__c', field: 'title', blankRate: 15 },
+      { header: 'ContactAccountName__c', field: 'companyName' },
+      { header: 'ContactCountryCode__c', field: 'countryCode', blankRate: 10 },
+      { header: 'CurrencyIsoCode', field: 'currencyCode' },
+      { header: 'Amount', field: 'conversionValue', blankRate: 5 },
+      { header: 'LastModifiedDate', field: 'conversionTime' },
+    ],
+  },
+}
+
+// Function to look up a preset by name
+function getWorkbenchPreset(name) {
+  const preset = workbenchPresets[name]
+  if (!preset) {
+    throw new Error(
+      `Unknown Workbench preset "${name}". Available presets: ${Object.keys(
+        workbenchPresets
+      ).join(', ')}`
+    )
+  }
+  return preset
+}
+
+// Function to get the generator fields a preset needs, in column order
+function workbenchFields(preset) {
+  return preset.columns.map((column) => column.field)
+}
+
+// Function to quote a value the way Workbench does
+function formatWorkbenchValue(value) {
+  const text =
+    value === undefined || value === null || value === ''
+      ? NOT_PROVIDED
+      : String(value)
+  return `"${text.replace(/"/g, '""')}"`
+}
+
+// Function to build the quoted SFDC header row
+function workbenchHeader(preset) {
+  return preset.columns
+    .map((column) => formatWorkbenchValue(column.header))
+    .join(',')
+}
+
+// Function to build one quoted Workbench data row from a record
+function workbenchRow(preset, record) {
+  return preset.columns
+    .map((column) => formatWorkbenchValue(record[column.field]))
+    .join(',')
+}
+
+// Function to empty values at each column's blank rate (mutates the record)
+function blankWorkbenchValues(preset, record) {
+  preset.columns.forEach((column) => {
+    if (!column.blankRate) {
+      return
+    }
+    // Always draw a number so the random sequence is the same for every row
+    const roll = faker.number.float({ min: 0, max: 100 })
+    if (roll < column.blankRate) {
+      record[column.field] = ''
+    }
+  })
+  return record
+}
+
+module.exports = {
+  workbenchPresets,
+  getWorkbenchPreset,
+  workbenchFields,
+  workbenchHeader,
+  workbenchRow,
+  blankWorkbenchValues,
+}